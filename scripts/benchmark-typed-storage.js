@@ -0,0 +1,89 @@
+import { CircularHistory } from "../src/index.js";
+
+/**
+ * Compares the typed storage of numeric histories with the plain array storage.
+ * Run with `pnpm benchmark`, which exposes the garbage collector to measure the memory.
+ */
+
+var CAPACITY = 200_000;
+var COMMITS = 1_000_000;
+
+var collectGarbage = () => {
+  if (!globalThis.gc) throw new Error("Run the benchmark with node --expose-gc");
+  globalThis.gc();
+  globalThis.gc();
+};
+
+var usedMemory = () => {
+  var usage = process.memoryUsage();
+  return usage.heapUsed + usage.arrayBuffers;
+};
+
+var createValue = (dataType, index) =>
+  dataType === "bigint" ? BigInt(index) * 1_000_003n : index * 0.25;
+
+var measureMemory = (dataType, typedStorage) => {
+  collectGarbage();
+  var before = usedMemory();
+  var history = new CircularHistory(CAPACITY, dataType, { typedStorage: typedStorage });
+
+  for (var index = 0; index < CAPACITY * 1.5; index++) {
+    history.commit(createValue(dataType, index));
+  }
+
+  collectGarbage();
+  var bytes = usedMemory() - before;
+
+  // Keeps the history alive until it has been measured.
+  if (history.size !== CAPACITY) throw new Error("Unexpected size");
+
+  return bytes;
+};
+
+var measureThroughput = (dataType, typedStorage) => {
+  var history = new CircularHistory(CAPACITY, dataType, { typedStorage: typedStorage });
+  var values = Array.from({ length: 1000 }, (_, index) => createValue(dataType, index));
+
+  collectGarbage();
+  var start = performance.now();
+
+  for (var index = 0; index < COMMITS; index++) {
+    history.commit(values[index % values.length]);
+  }
+
+  var commitsPerSecond = COMMITS / ((performance.now() - start) / 1000);
+
+  start = performance.now();
+  for (var round = 0; round < 100; round++) history.clear();
+  var clearTime = (performance.now() - start) / 100;
+
+  return { commitsPerSecond, clearTime };
+};
+
+var formatMegabytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+var formatRate = (rate) => `${Math.round(rate / 1000).toLocaleString("en")}k commits/s`;
+
+var rows = [];
+
+for (var dataType of ["number", "bigint"]) {
+  var results = [false, true].map((typedStorage) => ({
+    memory: measureMemory(dataType, typedStorage),
+    ...measureThroughput(dataType, typedStorage),
+  }));
+
+  var [array, typed] = results;
+
+  rows.push({
+    dataType: dataType,
+    "memory (array)": formatMegabytes(array.memory),
+    "memory (typed)": formatMegabytes(typed.memory),
+    "memory saved": `${Math.round((1 - typed.memory / array.memory) * 100)}%`,
+    "commits (array)": formatRate(array.commitsPerSecond),
+    "commits (typed)": formatRate(typed.commitsPerSecond),
+    "clear (array)": `${array.clearTime.toFixed(3)} ms`,
+    "clear (typed)": `${typed.clearTime.toFixed(3)} ms`,
+  });
+}
+
+console.log(`Capacity: ${CAPACITY.toLocaleString("en")} items`);
+console.table(rows);
@@ -0,0 +1,149 @@
+/**
+ * #Utils
+ */
+
+var parse = (key, json) => {
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Stored value "${key}" is corrupted. ${error.message}`);
+  }
+};
+
+var isAdapter = (adapter) =>
+  typeof adapter === "object" &&
+  adapter !== null &&
+  ["load", "save", "remove"].every((method) => typeof adapter[method] === "function");
+
+/**
+ * #Adapters
+ *
+ * @description
+ * Storage adapter stores JSON-serializable values by string keys.
+ * load returns undefined for missing keys. Each method may return a promise.
+ * Errors (like exceeded quota or corrupted data) are thrown as they are.
+ */
+export var adapters = {
+  /**
+   * @description
+   * Keeps the values in memory. Values are stored as JSON, the same way as in persistent storages.
+   */
+  memory: () => {
+    var values = new Map();
+
+    return {
+      load: (key) => (values.has(key) ? parse(key, values.get(key)) : undefined),
+      save: (key, value) => {
+        values.set(key, JSON.stringify(value));
+      },
+      remove: (key) => {
+        values.delete(key);
+      },
+    };
+  },
+
+  /**
+   * @description
+   * Stores the values in localStorage, sessionStorage or any other object
+   * that implements the Web Storage interface.
+   *
+   * @param {Storage} [storage] - Web Storage, localStorage by default
+   * @param {string} [prefix] - Prefix of the keys
+   */
+  webStorage: (storage = globalThis.localStorage, prefix = "") => {
+    if (!storage || typeof storage.getItem !== "function") {
+      throw new Error(`Web Storage is not available.`);
+    }
+
+    return {
+      load: (key) => {
+        var json = storage.getItem(prefix + key);
+        return json === null ? undefined : parse(prefix + key, json);
+      },
+      save: (key, value) => storage.setItem(prefix + key, JSON.stringify(value)),
+      remove: (key) => storage.removeItem(prefix + key),
+    };
+  },
+
+  /**
+   * @description
+   * Stores each value in a JSON file in the directory (Node.js only).
+   * Files are written to a temporary file first and then renamed,
+   * so a crash never leaves a partially written file behind.
+   *
+   * @param {string} directory - Directory of the files, created if it doesn't exist
+   */
+  fs: (directory) => {
+    if (typeof directory !== "string") {
+      throw new Error(`Directory must be a string. Got "${typeof directory}".`);
+    }
+
+    var modules = Promise.all([import("node:fs/promises"), import("node:path")]);
+    var getPath = (path, key) => path.join(directory, `${encodeURIComponent(key)}.json`);
+
+    return {
+      load: async (key) => {
+        var [fs, path] = await modules;
+
+        try {
+          return parse(key, await fs.readFile(getPath(path, key), "utf8"));
+        } catch (error) {
+          if (error.code === "ENOENT") return undefined;
+          throw error;
+        }
+      },
+      save: async (key, value) => {
+        var [fs, path] = await modules;
+        var file = getPath(path, key);
+        await fs.mkdir(directory, { recursive: true });
+        await fs.writeFile(`${file}.tmp`, JSON.stringify(value));
+        await fs.rename(`${file}.tmp`, file);
+      },
+      remove: async (key) => {
+        var [fs, path] = await modules;
+        await fs.rm(getPath(path, key), { force: true });
+      },
+    };
+  },
+};
+
+export var DEFAULT_AUTOSAVE_THROTTLE = 1000;
+
+/**
+ * @description
+ * Validates the autosave option of the CircularHistory constructor.
+ * Returns null if autosave is disabled.
+ *
+ * @param {object} [autosave] - { adapter, key, onError, throttle, codec }
+ */
+export var resolveAutosave = (autosave) => {
+  if (autosave === undefined) return null;
+
+  if (typeof autosave !== "object" || autosave === null || !isAdapter(autosave.adapter)) {
+    throw new Error(`Autosave option must be an object with an adapter { load, save, remove }.`);
+  }
+
+  if (typeof autosave.key !== "string" || autosave.key === "") {
+    throw new Error(`Autosave key must be a non-empty string. Got "${String(autosave.key)}".`);
+  }
+
+  if (typeof autosave.onError !== "function") {
+    throw new Error(
+      `Autosave onError must be a function that handles the storage errors. Got "${typeof autosave.onError}".`,
+    );
+  }
+
+  var throttle = autosave.throttle ?? DEFAULT_AUTOSAVE_THROTTLE;
+
+  if (typeof throttle !== "number" || !(throttle >= 0)) {
+    throw new Error(`Autosave throttle must be a non-negative number. Got "${String(throttle)}".`);
+  }
+
+  return {
+    adapter: autosave.adapter,
+    key: autosave.key,
+    onError: autosave.onError,
+    throttle: throttle,
+    codec: autosave.codec,
+  };
+};
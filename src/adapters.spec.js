@@ -0,0 +1,102 @@
+import { test, describe, expect } from "vitest";
+import { mkdtemp, readdir, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { adapters, resolveAutosave } from "./adapters.js";
+
+var createStorage = (quota = Infinity) => {
+  var values = new Map();
+
+  return {
+    values: values,
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => {
+      if (value.length > quota) throw new Error("QuotaExceededError");
+      values.set(key, value);
+    },
+    removeItem: (key) => values.delete(key),
+  };
+};
+
+describe("adapters", () => {
+  test("should store the values in memory as JSON", () => {
+    var adapter = adapters.memory();
+    var value = { a: [1, 2] };
+    adapter.save("key", value);
+    value.a.push(3);
+
+    expect(adapter.load("key")).toEqual({ a: [1, 2] });
+    expect(adapter.load("missing")).toBe(undefined);
+
+    adapter.remove("key");
+    expect(adapter.load("key")).toBe(undefined);
+  });
+
+  test("should store the values in Web Storage with a prefix", () => {
+    var storage = createStorage();
+    var adapter = adapters.webStorage(storage, "app:");
+    adapter.save("key", [1, "a"]);
+
+    expect(storage.values.get("app:key")).toBe('[1,"a"]');
+    expect(adapter.load("key")).toEqual([1, "a"]);
+
+    adapter.remove("key");
+    expect(adapter.load("key")).toBe(undefined);
+  });
+
+  test("should surface quota and corruption errors of Web Storage", () => {
+    var storage = createStorage(5);
+    var adapter = adapters.webStorage(storage);
+
+    expect(() => adapter.save("key", "too long")).toThrowError(/QuotaExceededError/);
+
+    storage.values.set("key", "{");
+    expect(() => adapter.load("key")).toThrowError(/Stored value "key" is corrupted/);
+  });
+
+  test("should throw if Web Storage is not available", () => {
+    expect(() => adapters.webStorage(null)).toThrowError(/Web Storage is not available/);
+  });
+
+  test("should store the values in files", async () => {
+    var directory = await mkdtemp(join(tmpdir(), "circular-history-"));
+
+    try {
+      var adapter = adapters.fs(join(directory, "nested"));
+      await adapter.save("a/b", { value: 1 });
+
+      expect(await adapter.load("a/b")).toEqual({ value: 1 });
+      expect(await adapter.load("missing")).toBe(undefined);
+      expect(await readdir(join(directory, "nested"))).toEqual(["a%2Fb.json"]);
+
+      await writeFile(join(directory, "nested", "a%2Fb.json"), "{");
+      await expect(adapter.load("a/b")).rejects.toThrowError(/Stored value "a\/b" is corrupted/);
+
+      await adapter.remove("a/b");
+      await adapter.remove("a/b");
+      expect(await adapter.load("a/b")).toBe(undefined);
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test("should validate the autosave option", () => {
+    var adapter = adapters.memory();
+    var onError = () => {};
+
+    expect(resolveAutosave(undefined)).toBe(null);
+    expect(resolveAutosave({ adapter, key: "a", onError })).toEqual({
+      adapter,
+      key: "a",
+      onError,
+      throttle: 1000,
+      codec: undefined,
+    });
+    expect(() => resolveAutosave({ key: "a", onError })).toThrowError(/adapter/);
+    expect(() => resolveAutosave({ adapter, key: "", onError })).toThrowError(/non-empty string/);
+    expect(() => resolveAutosave({ adapter, key: "a" })).toThrowError(/onError/);
+    expect(() => resolveAutosave({ adapter, key: "a", onError, throttle: -1 })).toThrowError(
+      /throttle/,
+    );
+  });
+});
@@ -1,40 +1,94 @@
+import { adapters, resolveAutosave } from "./adapters.js";
+import { FLAGS } from "./config.js";
+import { DELTAS, resolveDelta } from "./delta.js";
+import { EQUALITY, resolveEquals } from "./equality.js";
+import { estimateSize, resolveBudget } from "./size.js";
+import { createSlots, toArraySlots } from "./slots.js";
+import { resolveSnapshot } from "./snapshot.js";
+import { resolveDataType, types } from "./types.js";
+import { assertCanCommit, assertCapacity, getCommitError, stringify } from "./utils.js";
+
 /**
  * #Config
  */
 
+var NAVIGATION_LOWER_BOUND = 0;
+var EMPTY_POINTER = -1;
+
 /**
  * @description
- * List of data types that are allowed to be stored in the items.
- * All items should be of the same data type.
+ * Version of the format produced by toJSON. Bump it whenever the shape
+ * of the serialized state changes.
  */
-var ALLOWED_DATA_TYPES = ["number", "string", "bigint", "boolean", "symbol", "object"];
-
-var NAVIGATION_LOWER_BOUND = 0;
-var EMPTY_POINTER = -1;
+var SERIALIZATION_VERSION = 1;
 
 /**
  * @description
- * List of values that can be returned by the CircularHistory methods
+ * Default codecs used by toJSON and fromJSON to represent values of a specific
+ * data type in plain JSON. Data types that are not listed here are stored as is.
  */
-var FLAGS = {
-  empty: Symbol("empty"),
+var CODECS = {
+  number: {
+    encode: (value) => (Number.isFinite(value) ? value : String(value)),
+    decode: (value) => (typeof value === "string" ? Number(value) : value),
+  },
+  bigint: {
+    encode: (value) => value.toString(),
+    decode: (value) => BigInt(value),
+  },
+  symbol: {
+    encode: (value) => Symbol.keyFor(value) ?? value.description ?? "",
+    decode: (value) => Symbol.for(value),
+  },
+  object: {
+    encode: (value) => value,
+    decode: (value) => value,
+  },
 };
 
 /**
- * #Utils
+ * @description
+ * List of events emitted by the CircularHistory methods.
  */
+var EVENTS = [
+  "commit",
+  "replace",
+  "overwrite",
+  "move",
+  "clear",
+  "resize",
+  "rollback",
+  "edit",
+  "resolve",
+  "error",
+];
+var ANY_EVENT = "*";
 
-var isTypeAllowed = (type) => ALLOWED_DATA_TYPES.includes(type);
+/**
+ * @description
+ * Default maximum amount of pinned items.
+ */
+var DEFAULT_MAX_PINS = 10;
 
-var isValueTypeAllowed = (value) => {
-  var valueType = typeof value;
-  var isObject = valueType === "object" && value !== null;
-  return isObject || isTypeAllowed(valueType);
+var IDENTITY_CODEC = {
+  encode: (value) => value,
+  decode: (value) => value,
 };
 
-var canCommit = (value, dataType) => isValueTypeAllowed(value) && typeof value === dataType;
+/**
+ * #Utils
+ */
+
 var isItemEmpty = (slot) => slot === undefined;
 var makeIndex = (pointer, capacity) => pointer % capacity;
+var isCodec = (codec) =>
+  typeof codec === "object" &&
+  codec !== null &&
+  typeof codec.encode === "function" &&
+  typeof codec.decode === "function";
+var resolveCodec = (codec, dataType) =>
+  isCodec(codec) ? codec : (typeof dataType === "string" && CODECS[dataType]) || IDENTITY_CODEC;
+var isInteger = (value, min) => Number.isInteger(value) && value >= min;
 
 /**
  * #State
@@ -47,178 +101,2917 @@ var makeIndex = (pointer, capacity) => pointer % capacity;
 var STATE = new WeakMap();
 
 /**
- * @description
- *
- * Circular History
- *
- * Data structure that holds a fixed amount of items of a specific data type.
- * Supports committing new items, and moving backward and forward through the committed items.
- * When the buffer is full the wrapping occurs and the oldest items are overwritten.
- * After moving backward, new commits will overwrite the items ahead of the current pointer which
- * makes this data structure suitable for undo-redo implementations like history management.
+ * #Storage
  *
- * @param {number} capacity - Maximum amount of items in the buffer
- * @param {string} dataType - Data type of each slot
+ * @description
+ * All reads and writes of the items go through these functions, so the buffer
+ * can hold either plain items or delta records when delta storage is enabled.
+ * Delta record is either a keyframe { depth: 0, value } or { depth, delta }
+ * where the delta is made against the item at the previous pointer and depth is
+ * the amount of deltas since the closest keyframe.
+ * When the size of the items is tracked, sizes holds the size of each slot
+ * and bytes holds the total size of the items within the navigation range.
+ * Metadata of each slot is stored in metas at the same index as the item.
  */
-function CircularHistory(capacity, dataType) {
-  if (typeof capacity !== "number" || capacity <= 0 || !Number.isInteger(capacity)) {
-    throw new Error(`Capacity must be a positive integer. Got "${capacity}".`);
-  }
 
-  if (!isTypeAllowed(dataType)) {
-    throw new Error(`"${dataType}" is not allowed`);
+/**
+ * @description
+ * With delta storage or a memory budget, items that are no longer available
+ * for navigation are removed from the buffer instead of being kept until they
+ * get overwritten, since they can't be restored or would take up the budget.
+ */
+var dropsStaleItems = (self) => self.delta !== null || self.budget !== null;
+
+var measure = (self, value) => {
+  var size = self.budget.sizeOf(value);
+
+  if (typeof size !== "number" || !(size >= 0)) {
+    throw new Error(`sizeOf must return a non-negative number. Got "${String(size)}".`);
   }
 
-  STATE.set(this, {
-    /**
-     * Represents range [0, navigationUpperBound] of how many items can be used
-     * for navigation.
-     */
-    navigationUpperBound: NAVIGATION_LOWER_BOUND,
+  return size;
+};
 
-    /**
-     * Represents current index within the navigation range [0, navigationUpperBound].
-     */
-    navigatedItemsCount: NAVIGATION_LOWER_BOUND,
+/**
+ * @description
+ * Empties the buffer. Slots are reused as long as the capacity has not changed
+ * and they haven't been promoted from typed slots, which can hold the items again.
+ */
+var resetBuffer = (self) => {
+  markAllDirty(self);
 
-    /**
-     * Current pointer. It does not point to an index in the buffer directly.
-     * It is used to calculate the index in the buffer using modulo operation.
-     * Initial value is -1 which means no items have been committed yet.
-     * It's also possible to move back from 0 to -1 to represent the state
-     * where no item is selected but only in case when we at the very beginning.
-     * See moveBackward method for more details.
-     */
-    pointer: EMPTY_POINTER,
+  if (self.slots.capacity === self.capacity && !self.slots.promoted) self.slots.reset();
+  else self.slots = createSlots(self.capacity, self.dataType, self.typedSlots);
 
-    /**
-     * Total maximum amount of items.
-     */
-    capacity: capacity,
+  self.sizes = self.budget ? new Array(self.capacity) : null;
+  self.bytes = 0;
+};
 
-    /**
-     * Data type of each slot.
-     */
-    dataType: dataType,
+/**
+ * @description
+ * Applies the snapshot policy to the items before they are returned to the caller.
+ */
+var exposeItem = (self, item) => {
+  if (isPending(item)) return FLAGS.pending;
+  return isItemEmpty(item) || item === FLAGS.empty ? item : self.snapshot.read(item);
+};
 
-    /**
-     * Array of items.
-     * Should always be pre-allocated with capacity.
-     */
-    buffer: new Array(capacity),
-  });
-}
+var exposeItems = (self, items) => items.map((item) => exposeItem(self, item));
 
-CircularHistory.prototype.commit = function (value) {
-  var self = STATE.get(this);
-  var dataType = self.dataType;
+var readSlot = (self, pointer) => self.slots.get(makeIndex(pointer, self.capacity));
 
-  if (!canCommit(value, dataType)) {
-    throw new Error(
-      `Type of ${value} is invalid. Expected "${dataType}", got "${value === null ? "null" : typeof value}".`,
-    );
+/**
+ * @description
+ * Stores the item in the slot as is. Typed slots that can't hold the item are promoted
+ * to array slots first.
+ */
+var storeItem = (self, index, item) => {
+  if (!self.slots.accepts(item)) self.slots = toArraySlots(self.slots);
+  self.slots.set(index, item);
+};
+
+var decodeItem = (self, pointer) => {
+  var deltas = [];
+  var record = readSlot(self, pointer);
+
+  while (record.depth > 0) {
+    deltas.push(record.delta);
+    record = readSlot(self, --pointer);
   }
 
-  var capacity = self.capacity;
+  return deltas.reduceRight((value, delta) => self.delta.patch(value, delta), record.value);
+};
 
-  if (self.navigatedItemsCount === capacity - 1) {
-    self.navigationUpperBound = capacity - 1;
-    self.navigatedItemsCount = capacity - 1;
-  } else {
-    self.navigationUpperBound = ++self.navigatedItemsCount;
+var readItem = (self, pointer) => {
+  var slot = readSlot(self, pointer);
+  return self.delta && !isItemEmpty(slot) ? decodeItem(self, pointer) : slot;
+};
+
+/**
+ * @description
+ * Reads consecutive items. With delta storage each item is restored
+ * from the previous one instead of starting from the keyframe every time.
+ */
+var readItems = (self, from, to) => {
+  var items = [];
+
+  for (var pointer = from; pointer <= to; pointer++) {
+    var slot = readSlot(self, pointer);
+
+    if (self.delta && pointer > from && !isItemEmpty(slot) && slot.depth > 0) {
+      items.push(self.delta.patch(items[items.length - 1], slot.delta));
+    } else {
+      items.push(readItem(self, pointer));
+    }
   }
 
-  self.buffer[makeIndex(++self.pointer, capacity)] = value;
+  return items;
 };
 
-CircularHistory.prototype.current = function () {
-  var self = STATE.get(this);
-  if (self.pointer === EMPTY_POINTER) return FLAGS.empty;
-  var buffer = self.buffer;
-  var pointer = self.pointer;
-  var nextItem = buffer[makeIndex(pointer, self.capacity)];
-  return isItemEmpty(nextItem) ? FLAGS.empty : nextItem;
+/**
+ * @description
+ * Stores the item at the pointer. With delta storage the item is stored as a delta
+ * against the previous pointer if hasPrevious is true and the keyframe interval has
+ * not been reached, otherwise (or if diff returns undefined) as a keyframe.
+ */
+var writeItem = (self, pointer, value, hasPrevious, size) => {
+  var index = makeIndex(pointer, self.capacity);
+  markDirty(self, index);
+
+  if (self.budget) {
+    var itemSize = isPending(value) ? 0 : (size ?? measure(self, value));
+    self.bytes += itemSize - (self.sizes[index] ?? 0);
+    self.sizes[index] = itemSize;
+  }
+
+  if (!self.delta) {
+    storeItem(self, index, value);
+    return;
+  }
+
+  var depth = hasPrevious ? readSlot(self, pointer - 1).depth + 1 : 0;
+
+  var delta =
+    depth > 0 && depth < self.delta.keyframeInterval
+      ? self.delta.diff(readItem(self, pointer - 1), value)
+      : undefined;
+
+  self.slots.set(index, delta === undefined ? { depth: 0, value: value } : { depth, delta });
 };
 
-CircularHistory.prototype.moveBackward = function () {
-  var self = STATE.get(this);
+/**
+ * @description
+ * Turns the item at the pointer into a keyframe, so it does not depend
+ * on the previous item which is about to be overwritten.
+ */
+var rebase = (self, pointer) => {
+  if (readSlot(self, pointer).depth === 0) return;
+  self.slots.set(makeIndex(pointer, self.capacity), { depth: 0, value: readItem(self, pointer) });
+};
 
-  /**
-   * @description
-   *
-   * If we are about to move back from index 0 to -1, we set the pointer to -1
-   * and do not decrease the navigatedItemsCount because -1 represents the state
-   * where no item is selected. We also can't decrease navigatedItemsCount
-   * in this case because it would go below the NAVIGATION_LOWER_BOUND
-   * in case when we have wrapped around the buffer and haven't reached
-   * the beginning yet, so we need to handle this case separately in order
-   * to have an ability to move back up to the empty state.
-   * If we do not do that, we won't be able to move back to the empty state
-   * and the first item will always be selected.
-   */
-  if (self.pointer === EMPTY_POINTER + 1) {
+var clearSlot = (self, pointer) => {
+  var index = makeIndex(pointer, self.capacity);
+  markDirty(self, index);
+  self.slots.delete(index);
+
+  if (self.budget) {
+    self.bytes -= self.sizes[index] ?? 0;
+    self.sizes[index] = undefined;
+  }
+};
+
+/**
+ * @description
+ * Called before a commit writes the item after the pointer when stale items are dropped.
+ * Items ahead of the pointer are removed, and if the oldest item is about to be overwritten
+ * by the wrapping, the next one becomes a keyframe since its delta base is gone.
+ */
+var prepareCommit = (self, range, pointer) => {
+  var isOldestOverwritten = pointer + 1 - range.oldest === self.capacity;
+
+  if (self.delta && isOldestOverwritten && self.capacity > 1) {
+    rebase(self, range.oldest + 1);
+  }
+
+  if (isOldestOverwritten) clearSlot(self, range.oldest);
+
+  for (var next = pointer + 1; next <= range.newest; next++) {
+    clearSlot(self, next);
+  }
+};
+
+/**
+ * @description
+ * Pushes the oldest item out of the navigation range and removes it from the buffer.
+ * If the pointer was at that item (or at the empty state before it), it moves
+ * to the next item. Returns the evicted item.
+ */
+var evictOldest = (self) => {
+  var range = getNavigationRange(self);
+  var item = readItem(self, range.oldest);
+
+  if (range.oldest === range.newest) {
+    resetBuffer(self);
     self.pointer = EMPTY_POINTER;
-    return;
+    self.navigatedItemsCount = NAVIGATION_LOWER_BOUND;
+    self.navigationUpperBound = NAVIGATION_LOWER_BOUND;
+    return item;
   }
 
-  if (self.navigatedItemsCount === NAVIGATION_LOWER_BOUND || self.pointer === EMPTY_POINTER) return;
-  self.pointer--;
-  self.navigatedItemsCount--;
+  if (self.delta) rebase(self, range.oldest + 1);
+  clearSlot(self, range.oldest);
+
+  var oldest = range.oldest + 1;
+  self.pointer = Math.max(self.pointer, oldest);
+  self.navigatedItemsCount = self.pointer - oldest;
+  self.navigationUpperBound = range.newest - oldest;
+
+  return item;
 };
 
-CircularHistory.prototype.moveForward = function () {
-  var self = STATE.get(this);
+/**
+ * @description
+ * Evicts the oldest items until their total size fits into maxBytes.
+ * The last item is never evicted. Returns the evicted items.
+ */
+var enforceBudget = (self) => {
+  var evicted = [];
 
-  /**
-   * @description
-   *
-   * At this point if we at the very beginning and navigationUpperBound has
-   * not been reached yet, which means that we came back to the empty state,
-   * we need to move the pointer to 0 without increasing the navigatedItemsCount
-   * in order to recover from the empty state that we set in the moveBackward method.
-   * If we increase navigatedItemsCount here, we wont reach the navigationUpperBound
-   * because it would be off left by one.
-   */
-  if (self.pointer === EMPTY_POINTER && self.navigationUpperBound > NAVIGATION_LOWER_BOUND) {
-    self.pointer = EMPTY_POINTER + 1;
-    return;
+  while (self.budget && self.bytes > self.budget.maxBytes && getSize(self) > 1) {
+    evicted.push(evictOldest(self));
   }
 
-  if (self.navigatedItemsCount === self.navigationUpperBound) return;
+  return evicted;
+};
 
-  self.pointer++;
-  self.navigatedItemsCount++;
+/**
+ * @description
+ * Evicts the oldest items that have been committed more than maxAge ago.
+ * Only the oldest end is checked, so items with older custom timestamps after
+ * a newer one are kept until they become the oldest. Returns the evicted items.
+ */
+var evictExpired = (self) => {
+  var evicted = [];
+  if (self.maxAge === null) return evicted;
+
+  var expiredBefore = self.clock() - self.maxAge;
+  var range = getNavigationRange(self);
+
+  while (
+    range &&
+    self.slots.getMeta(makeIndex(range.oldest, self.capacity)).timestamp < expiredBefore
+  ) {
+    evicted.push(evictOldest(self));
+    range = getNavigationRange(self);
+  }
+
+  return evicted;
 };
 
-CircularHistory.prototype.clear = function () {
-  var self = STATE.get(this);
-  self.navigatedItemsCount = NAVIGATION_LOWER_BOUND;
-  self.navigationUpperBound = NAVIGATION_LOWER_BOUND;
-  self.pointer = EMPTY_POINTER;
-  self.buffer = new Array(self.capacity);
+/**
+ * @description
+ * Returns the amount of the oldest items that have expired without evicting them,
+ * so lookups can skip them before the move has passed the guards.
+ */
+var countExpired = (self) => {
+  if (self.maxAge === null) return 0;
+  var expiredBefore = self.clock() - self.maxAge;
+  var metas = readMetaRange(self, 0, getSize(self) - 1);
+  var count = metas.findIndex((meta) => meta.timestamp >= expiredBefore);
+  return count === -1 ? metas.length : count;
 };
 
-CircularHistory.prototype.dump = function (discardHoles = false) {
-  var self = STATE.get(this);
-  var result = [...self.buffer];
-  return discardHoles ? result.filter((slot) => !isItemEmpty(slot)) : result;
+/**
+ * @description
+ * Evicts the expired items, e.g. after a navigation call has passed the guards,
+ * and emits them as overwrite events. Returns the evicted items.
+ */
+var expire = (self) => {
+  var evicted = exposeItems(self, evictExpired(self));
+  if (evicted.length === 0) return evicted;
+
+  scheduleSave(self);
+
+  evicted.forEach((item) => {
+    emit(self, { type: "overwrite", value: item });
+  });
+
+  return evicted;
 };
 
-CircularHistory.prototype.getCurrentIndex = function () {
-  var self = STATE.get(this);
-  return makeIndex(self.pointer, self.capacity);
+/**
+ * @description
+ * Measures the item that is about to be stored if the size is tracked.
+ * Throws if it doesn't fit into the budget even on its own.
+ */
+var measureItem = (self, value, item) => {
+  if (!self.budget) return undefined;
+  var size = measure(self, item);
+
+  if (size > self.budget.maxBytes) {
+    throw new Error(
+      `Item ${stringify(value)} takes ${size} bytes which exceeds the budget of ${self.budget.maxBytes} bytes.`,
+    );
+  }
+
+  return size;
 };
 
-CircularHistory.prototype.isStartReached = function () {
-  var self = STATE.get(this);
-  return self.navigatedItemsCount === NAVIGATION_LOWER_BOUND || self.pointer === EMPTY_POINTER;
+var assertMeta = (meta) => {
+  if (typeof meta !== "object" || meta === null) {
+    throw new Error(`Meta must be an object. Got "${stringify(meta)}".`);
+  }
+
+  if (meta.timestamp !== undefined && !Number.isFinite(meta.timestamp)) {
+    throw new Error(`Meta timestamp must be a number. Got "${stringify(meta.timestamp)}".`);
+  }
 };
 
-CircularHistory.prototype.isEndReached = function () {
-  var self = STATE.get(this);
-  return self.navigatedItemsCount === self.navigationUpperBound;
+/**
+ * @description
+ * Creates frozen metadata of a new entry. The id is unique within the instance
+ * and is never reused, so it keeps pointing to the same entry while the slots
+ * get overwritten. The timestamp defaults to the current time of the clock.
+ * If the metadata of a replaced entry is passed as base, it's merged
+ * with the new metadata and its id is kept.
+ */
+var createMeta = (self, meta, base) => {
+  assertMeta(meta);
+
+  return Object.freeze({
+    ...base,
+    ...meta,
+    id: base ? base.id : self.nextId++,
+    timestamp: meta.timestamp ?? self.clock(),
+  });
 };
 
-CircularHistory.FLAGS = FLAGS;
+var readCurrentMeta = (self) =>
+  self.pointer === EMPTY_POINTER
+    ? undefined
+    : self.slots.getMeta(makeIndex(self.pointer, self.capacity));
+
+/**
+ * @description
+ * Replaces the current item and its metadata in place without moving the pointer.
+ * The current item has to be the newest one, since the delta of the next item
+ * would be based on the replaced one.
+ */
+var replaceItem = (self, value, meta, size) => {
+  var range = getNavigationRange(self);
+  writeItem(self, self.pointer, value, self.pointer > range.oldest, size);
+  self.slots.setMeta(makeIndex(self.pointer, self.capacity), meta);
+};
+
+var readMetas = (self, from, to) => {
+  var metas = [];
+
+  for (var pointer = from; pointer <= to; pointer++) {
+    metas.push(self.slots.getMeta(makeIndex(pointer, self.capacity)));
+  }
+
+  return metas;
+};
+
+/**
+ * @description
+ * Returns the chronological position of the entry with the given id or -1
+ * if it's not available for navigation.
+ */
+var findPosition = (self, id) => {
+  var range = getNavigationRange(self);
+  if (!range) return -1;
+  return readMetas(self, range.oldest, range.newest).findIndex((meta) => meta.id === id);
+};
+
+/**
+ * @description
+ * Returns the items in the order they are stored in the buffer.
+ */
+var readSlots = (self) => {
+  if (!self.delta) return self.slots.toArray();
+
+  var slots = new Array(self.capacity).fill(undefined);
+  var range = getNavigationRange(self);
+
+  if (range) {
+    readItems(self, range.oldest, range.newest).forEach((item, index) => {
+      slots[makeIndex(range.oldest + index, self.capacity)] = item;
+    });
+  }
+
+  return slots;
+};
+
+/**
+ * @description
+ * Returns the metadata in the order it's stored in the buffer.
+ */
+var readSlotMetas = (self) => {
+  var metas = new Array(self.capacity);
+
+  for (var index = 0; index < self.capacity; index++) {
+    if (self.slots.has(index)) metas[index] = self.slots.getMeta(index);
+  }
+
+  return metas;
+};
 
-export { CircularHistory };
+/**
+ * @description
+ * Fills the buffer with plain items (as returned by readSlots) and their metadata as is.
+ */
+var fillSlots = (self, slots, metas) => {
+  resetBuffer(self);
+
+  slots.forEach((slot, index) => {
+    if (isItemEmpty(slot)) return;
+    storeItem(self, index, slot);
+    self.slots.setMeta(index, metas[index]);
+  });
+};
+
+/**
+ * @description
+ * Replaces the buffer with plain items (as returned by readSlots) and their metadata
+ * after pointer and navigation bounds have been set.
+ */
+var writeSlots = (self, slots, metas) => {
+  fillSlots(self, slots, metas);
+  if (!dropsStaleItems(self)) return;
+
+  var range = getNavigationRange(self);
+  resetBuffer(self);
+  if (!range) return;
+
+  for (var pointer = range.oldest; pointer <= range.newest; pointer++) {
+    var index = makeIndex(pointer, self.capacity);
+    writeItem(self, pointer, slots[index], pointer > range.oldest);
+    self.slots.setMeta(index, metas[index]);
+  }
+};
+
+/**
+ * #Navigation
+ */
+
+/**
+ * @description
+ * Returns absolute pointers of the oldest and the newest items available
+ * for navigation or null if there are no items.
+ * When the pointer is at the empty state it is treated as the first item
+ * since moveBackward does not change navigatedItemsCount in that case.
+ */
+var getNavigationRange = (self) => {
+  if (self.pointer === EMPTY_POINTER && !self.slots.has(0)) return null;
+  var pointer = Math.max(self.pointer, EMPTY_POINTER + 1);
+
+  return {
+    oldest: Math.max(0, pointer - self.navigatedItemsCount),
+    newest: pointer + self.navigationUpperBound - self.navigatedItemsCount,
+  };
+};
+
+var getSize = (self) => {
+  var range = getNavigationRange(self);
+  return range ? range.newest - range.oldest + 1 : 0;
+};
+
+/**
+ * @description
+ * Returns the chronological position of the current item within the
+ * navigation range, where 0 is the oldest item and -1 is the empty state.
+ */
+var getPosition = (self) => {
+  if (self.pointer === EMPTY_POINTER) return EMPTY_POINTER;
+  return self.pointer - getNavigationRange(self).oldest;
+};
+
+/**
+ * @description
+ * Returns items within the navigation range between logical positions
+ * "from" and "to" (both inclusive) in chronological order.
+ */
+var readRange = (self, from, to) => {
+  var range = getNavigationRange(self);
+  if (!range) return [];
+  return readItems(self, range.oldest + Math.max(from, 0), range.oldest + to);
+};
+
+var readMetaRange = (self, from, to) => {
+  var range = getNavigationRange(self);
+  if (!range) return [];
+  return readMetas(self, range.oldest + Math.max(from, 0), range.oldest + to);
+};
+
+/**
+ * @description
+ * Returns the [from, to] range of chronological positions to search through.
+ * The undo side is the undoStack (up to the current item) and the redo side is the redoStack.
+ */
+var getSearchRange = (self, options) => {
+  if (typeof options !== "object" || options === null) {
+    throw new Error(`Search options must be an object. Got "${stringify(options)}".`);
+  }
+
+  var last = getSize(self) - 1;
+  if (options.side === undefined) return [0, last];
+  if (options.side === "undo") return [0, getPosition(self)];
+  if (options.side === "redo") return [getPosition(self) + 1, last];
+
+  throw new Error(`Search side must be "undo" or "redo". Got "${stringify(options.side)}".`);
+};
+
+/**
+ * @description
+ * Returns { value, meta, position } of the items between chronological positions
+ * "from" and "to" (both inclusive).
+ */
+var readEntries = (self, from, to) => {
+  var start = Math.max(from, 0);
+  var metas = readMetaRange(self, start, to);
+
+  return exposeItems(self, readRange(self, start, to)).map((value, index) => ({
+    value: value,
+    meta: metas[index],
+    position: start + index,
+  }));
+};
+
+var assertPredicate = (predicate) => {
+  if (typeof predicate !== "function") {
+    throw new Error(`Predicate must be a function. Got "${typeof predicate}".`);
+  }
+};
+
+var matchEntry = (predicate) => (entry) => predicate(entry.value, entry.position, entry.meta);
+
+/**
+ * @description
+ * Returns the first entry within the search range that satisfies the predicate,
+ * starting from the newest one if fromEnd is true.
+ */
+var findEntry = (self, predicate, options, fromEnd) => {
+  assertPredicate(predicate);
+  var entries = readEntries(self, ...getSearchRange(self, options));
+  return fromEnd ? entries.findLast(matchEntry(predicate)) : entries.find(matchEntry(predicate));
+};
+
+/**
+ * @description
+ * Moves the pointer one item back. Returns false if the pointer has not been moved.
+ */
+var stepBackward = (self) => {
+  /**
+   * @description
+   *
+   * If we are about to move back from index 0 to -1, we set the pointer to -1
+   * and do not decrease the navigatedItemsCount because -1 represents the state
+   * where no item is selected. We also can't decrease navigatedItemsCount
+   * in this case because it would go below the NAVIGATION_LOWER_BOUND
+   * in case when we have wrapped around the buffer and haven't reached
+   * the beginning yet, so we need to handle this case separately in order
+   * to have an ability to move back up to the empty state.
+   * If we do not do that, we won't be able to move back to the empty state
+   * and the first item will always be selected.
+   */
+  if (self.pointer === EMPTY_POINTER + 1) {
+    self.pointer = EMPTY_POINTER;
+    return true;
+  }
+
+  if (self.navigatedItemsCount === NAVIGATION_LOWER_BOUND || self.pointer === EMPTY_POINTER) {
+    return false;
+  }
+
+  self.pointer--;
+  self.navigatedItemsCount--;
+  return true;
+};
+
+/**
+ * @description
+ * Moves the pointer one item forward. Returns false if the pointer has not been moved.
+ */
+var stepForward = (self) => {
+  /**
+   * @description
+   *
+   * At this point if we at the very beginning and navigationUpperBound has
+   * not been reached yet, which means that we came back to the empty state,
+   * we need to move the pointer to 0 without increasing the navigatedItemsCount
+   * in order to recover from the empty state that we set in the moveBackward method.
+   * If we increase navigatedItemsCount here, we wont reach the navigationUpperBound
+   * because it would be off left by one.
+   */
+  if (self.pointer === EMPTY_POINTER && self.navigationUpperBound > NAVIGATION_LOWER_BOUND) {
+    self.pointer = EMPTY_POINTER + 1;
+    return true;
+  }
+
+  if (self.navigatedItemsCount === self.navigationUpperBound) return false;
+
+  self.pointer++;
+  self.navigatedItemsCount++;
+  return true;
+};
+
+/**
+ * @description
+ * Moves the pointer by delta items (negative values move backward) one step
+ * at a time, so the same bounds apply as for moveBackward and moveForward.
+ * Returns the amount of steps that have actually been taken.
+ */
+var navigate = (self, delta) => {
+  var step = delta < 0 ? stepBackward : stepForward;
+  var steps = 0;
+  while (steps < Math.abs(delta) && step(self)) steps++;
+  return steps;
+};
+
+/**
+ * @description
+ * Replaces the whole state with the given chronological list of items.
+ * The navigation bounds are chosen the same way as if the items had been committed
+ * one by one, so moving back to the empty state is only possible if
+ * isEmptyStateReachable is true (no items have been pushed out from the oldest side).
+ *
+ * @param {object} self - Private state
+ * @param {number} capacity - New capacity
+ * @param {Array} items - Items in chronological order, no more than capacity
+ * @param {Array} metas - Metadata of the items
+ * @param {number} position - Chronological position of the current item, -1 is the empty state
+ * @param {boolean} isEmptyStateReachable - Whether the oldest item is the very first one
+ */
+var rebuild = (self, capacity, items, metas, position, isEmptyStateReachable) => {
+  self.capacity = capacity;
+  resetBuffer(self);
+
+  if (items.length === 0) {
+    self.pointer = EMPTY_POINTER;
+    self.navigatedItemsCount = NAVIGATION_LOWER_BOUND;
+    self.navigationUpperBound = NAVIGATION_LOWER_BOUND;
+    return;
+  }
+
+  /**
+   * @description
+   *
+   * Until the buffer is full, navigatedItemsCount is ahead of the pointer by one
+   * (see commit), which keeps the first item from being treated as the lower bound.
+   * Otherwise the oldest item starts at pointer 1 so the pointer never gets to 0
+   * and moveBackward can't reach the empty state.
+   */
+  var oldest = isEmptyStateReachable ? EMPTY_POINTER + 1 : EMPTY_POINTER + 2;
+  var offset = isEmptyStateReachable && items.length < capacity ? 1 : 0;
+
+  items.forEach((item, index) => {
+    writeItem(self, oldest + index, item, index > 0);
+    self.slots.setMeta(makeIndex(oldest + index, capacity), metas[index]);
+  });
+
+  self.pointer = position === EMPTY_POINTER ? EMPTY_POINTER : oldest + position;
+  self.navigatedItemsCount = Math.max(position, 0) + offset;
+  self.navigationUpperBound = items.length - 1 + offset;
+};
+
+/**
+ * @description
+ * Replaces count items starting at the chronological position with the given items
+ * and rebuilds the buffer, keeping the empty state reachable only if it was before.
+ * The pointer stays at the same item. If that item has been removed, it moves to the last
+ * inserted item, or to the previous item if nothing has been inserted.
+ * Returns the removed items as they are stored.
+ *
+ * @param {object} self - Private state
+ * @param {number} start - Chronological position of the first item to remove
+ * @param {number} count - Amount of items to remove
+ * @param {Array} inserted - Items to insert in place of them
+ * @param {Array} insertedMetas - Metadata of the inserted items
+ */
+var spliceItems = (self, start, count, inserted, insertedMetas) => {
+  var range = getNavigationRange(self);
+  var size = getSize(self);
+  var items = readRange(self, 0, size - 1);
+  var metas = readMetaRange(self, 0, size - 1);
+  var position = getPosition(self);
+  var isEmptyStateReachable = range.oldest === 0;
+
+  var removed = items.splice(start, count, ...inserted);
+  var removedIds = metas.splice(start, count, ...insertedMetas).map((meta) => meta.id);
+
+  if (position >= start + count) position += inserted.length - count;
+  else if (position >= start) position = start + inserted.length - 1;
+
+  var lowest = isEmptyStateReachable || items.length === 0 ? EMPTY_POINTER : 0;
+  rebuild(self, self.capacity, items, metas, Math.max(position, lowest), isEmptyStateReachable);
+
+  if (removedIds.includes(self.lastCommit?.id)) self.lastCommit = null;
+  return removed;
+};
+
+var assertRange = (self, from, to) => {
+  assertInteger(from, "From");
+  assertInteger(to, "To");
+  var size = getSize(self);
+
+  if (from < 0 || to >= size || from > to) {
+    throw new Error(`Range [${from}, ${to}] is out of the navigation range [0, ${size - 1}].`);
+  }
+};
+
+/**
+ * @description
+ * Emits the removed items as an edit event and evicts the items that no longer fit
+ * into the memory budget. Returns the removed items as they are exposed.
+ */
+var finishEdit = (self, operation, removed) => {
+  var evicted = exposeItems(self, enforceBudget(self));
+  removed = exposeItems(self, removed);
+  scheduleSave(self);
+
+  evicted.forEach((item) => {
+    emit(self, { type: "overwrite", value: item });
+  });
+
+  emit(self, { type: "edit", operation: operation, removed: removed });
+  return removed;
+};
+
+var assertInteger = (value, name) => {
+  if (!Number.isInteger(value)) {
+    throw new Error(`${name} must be an integer. Got "${value}".`);
+  }
+};
+
+/**
+ * #Events
+ */
+
+var hasListeners = (self, type) =>
+  self.listeners.some((listener) => listener.type === type || listener.type === ANY_EVENT);
+
+var emit = (self, event) => {
+  self.listeners.slice().forEach((listener) => {
+    if (listener.type === event.type || listener.type === ANY_EVENT) listener.fn(event);
+  });
+};
+
+/**
+ * @description
+ * Returns true if moveBackward would not change the current item. Unlike isStartReached,
+ * which keeps its original results, it takes into account that moving back from the first item
+ * to the empty state is possible even if navigatedItemsCount is at the NAVIGATION_LOWER_BOUND
+ * (see stepBackward).
+ */
+var isAtStart = (self) => {
+  if (self.pointer === EMPTY_POINTER + 1) return false;
+  return self.navigatedItemsCount === NAVIGATION_LOWER_BOUND || self.pointer === EMPTY_POINTER;
+};
+
+/**
+ * @description
+ * Returns true if moveForward would not change the current item. Unlike isEndReached,
+ * it takes into account that moving forward from the empty state is possible
+ * without changing navigatedItemsCount (see stepForward).
+ */
+var isAtEnd = (self) => {
+  if (self.pointer === EMPTY_POINTER && self.navigationUpperBound > NAVIGATION_LOWER_BOUND) {
+    return false;
+  }
+
+  return self.navigatedItemsCount === self.navigationUpperBound;
+};
+
+var emitMove = (instance, self, direction, steps) => {
+  if (!hasListeners(self, "move")) return;
+
+  emit(self, {
+    type: "move",
+    direction: direction,
+    steps: steps,
+    value: instance.current(),
+    startReached: isAtStart(self),
+    endReached: isAtEnd(self),
+  });
+};
+
+var addListener = (self, type, fn) => {
+  if (typeof fn !== "function") {
+    throw new Error(`Listener must be a function. Got "${typeof fn}".`);
+  }
+
+  var listener = { type: type, fn: fn };
+  self.listeners.push(listener);
+
+  return () => {
+    var index = self.listeners.indexOf(listener);
+    if (index !== -1) self.listeners.splice(index, 1);
+  };
+};
+
+/**
+ * #Guards
+ *
+ * @description
+ * Guards are called before a move or a commit and cancel it by returning false
+ * (or a promise that resolves to false for the async variants). They run before
+ * anything is changed, so the state stays untouched if a guard cancels or throws.
+ */
+
+var isThenable = (value) => typeof value?.then === "function";
+
+var hasGuards = (self, type) => self.guards[type].length > 0;
+
+var runGuards = (self, type, context, asyncName) => {
+  for (var guard of self.guards[type].slice()) {
+    var result = guard(context);
+
+    if (isThenable(result)) {
+      Promise.resolve(result).catch(() => {});
+      throw new Error(`${type} guard returned a promise. Use ${asyncName} to wait for it.`);
+    }
+
+    if (result === false) return false;
+  }
+
+  return true;
+};
+
+var runGuardsAsync = async (self, type, context) => {
+  for (var guard of self.guards[type].slice()) {
+    if ((await guard(context)) === false) return false;
+  }
+
+  return true;
+};
+
+var addGuard = (self, type, guard) => {
+  if (typeof guard !== "function") {
+    throw new Error(`Guard must be a function. Got "${typeof guard}".`);
+  }
+
+  self.guards[type].push(guard);
+
+  return () => {
+    var index = self.guards[type].indexOf(guard);
+    if (index !== -1) self.guards[type].splice(index, 1);
+  };
+};
+
+/**
+ * @description
+ * Describes the move by delta items without making it, by taking the steps on a copy
+ * of the navigation state. The move is a no-op if steps is 0.
+ */
+var describeMove = (instance, self, delta) => {
+  var probe = {
+    pointer: self.pointer,
+    navigatedItemsCount: self.navigatedItemsCount,
+    navigationUpperBound: self.navigationUpperBound,
+  };
+
+  var steps = navigate(probe, delta);
+  var offset = delta < 0 ? -steps : steps;
+  var from = getPosition(self);
+
+  return {
+    direction: delta < 0 ? "backward" : "forward",
+    steps: steps,
+    from: from,
+    to: from + offset,
+    value: steps === 0 ? instance.current() : instance.peek(offset),
+  };
+};
+
+var canMove = (instance, self, delta) => {
+  if (!hasGuards(self, "beforeMove")) return true;
+  var next = describeMove(instance, self, delta);
+  var asyncName = delta < 0 ? "moveBackwardAsync" : "moveForwardAsync";
+  return next.steps === 0 || runGuards(self, "beforeMove", next, asyncName);
+};
+
+/**
+ * @description
+ * Moves the pointer by delta items without calling the guards.
+ * Returns the amount of steps that have actually been taken.
+ */
+var move = (instance, self, delta) => {
+  var steps = navigate(self, delta);
+  if (steps === 0) return steps;
+
+  scheduleSave(self);
+  emitMove(instance, self, delta < 0 ? "backward" : "forward", steps);
+  return steps;
+};
+
+/**
+ * @description
+ * Evicts the expired items and then moves to the item the guards have been asked about.
+ * Expiring only after the guards keeps the state untouched when they cancel the move.
+ * If the target has expired as well, the pointer stops at the oldest remaining item.
+ * Returns the amount of steps that have been taken.
+ */
+var expireAndMove = (instance, self, delta) => {
+  var probe = {
+    pointer: self.pointer,
+    navigatedItemsCount: self.navigatedItemsCount,
+    navigationUpperBound: self.navigationUpperBound,
+  };
+
+  navigate(probe, delta);
+  expire(self);
+
+  /**
+   * @description
+   *
+   * The empty state stays reachable as long as the first committed item is the oldest one.
+   */
+  var range = getNavigationRange(self);
+  if (!range) return 0;
+  var target = range.oldest === 0 ? probe.pointer : Math.max(probe.pointer, range.oldest);
+  return move(instance, self, target - self.pointer);
+};
+
+/**
+ * @description
+ * Moves to the position found by a lookup that skipped the expired items.
+ * Returns the position of the item once they have been evicted.
+ */
+var goToPosition = (instance, self, position) => {
+  var size = getSize(self);
+  instance.goTo(position);
+  return position - (size - getSize(self));
+};
+
+/**
+ * @description
+ * Runs the task after all previously enqueued async moves and commits have settled,
+ * so their guards never run concurrently. Returns the result of the task.
+ */
+var enqueue = (self, task) => {
+  var result = self.queue.then(task);
+  self.queue = result.catch(() => {});
+  return result;
+};
+
+var moveAsync = (instance, self, delta) =>
+  enqueue(self, async () => {
+    var next = describeMove(instance, self, delta);
+    if (next.steps > 0 && !(await runGuardsAsync(self, "beforeMove", next))) return false;
+    return expireAndMove(instance, self, delta) > 0;
+  });
+
+/**
+ * @description
+ * Calls fn with the guards of the history disabled, e.g. to apply operations that have
+ * already been accepted elsewhere.
+ */
+var withoutGuards = (history, fn) => {
+  var self = STATE.get(history);
+  var guards = self.guards;
+  self.guards = { beforeMove: [], beforeCommit: [] };
+
+  try {
+    return fn();
+  } finally {
+    self.guards = guards;
+  }
+};
+
+/**
+ * @description
+ * Throws if the value or the metadata can't be committed to the history, without committing it,
+ * e.g. before the commit is sent to another peer.
+ */
+var assertCommit = (history, value, meta) => {
+  var self = STATE.get(history);
+  assertCanCommit(value, self.type);
+  assertMeta(meta);
+};
+
+/**
+ * @description
+ * Whether moveBackward and moveForward would change the current item,
+ * e.g. to enable the undo and redo of the classes built on top of the history.
+ */
+var canMoveBackward = (history) => !isAtStart(STATE.get(history));
+
+var canMoveForward = (history) => !isAtEnd(STATE.get(history));
+
+/**
+ * @description
+ * Resolves with whether the beforeMove guards allow moving by delta items, without moving,
+ * e.g. to ask them before running a side effect that goes along with the move.
+ */
+var allowsMove = async (history, delta) => {
+  var self = STATE.get(history);
+  if (!hasGuards(self, "beforeMove")) return true;
+  var next = describeMove(history, self, delta);
+  return next.steps === 0 || runGuardsAsync(self, "beforeMove", next);
+};
+
+/**
+ * @description
+ * Emits the error as an error event of the history, e.g. when an operation
+ * made on its behalf elsewhere has failed.
+ */
+var emitError = (history, error) => {
+  emit(STATE.get(history), { type: "error", error: error });
+};
+
+/**
+ * #Lazy entries
+ *
+ * @description
+ * A lazy commit stores a pending entry in place of the item, holding the factory
+ * or the promise it was given. The entry keeps its place in the buffer, so the order
+ * of the items doesn't depend on the order in which they resolve. Sync reads return
+ * FLAGS.pending for it, and it's only resolved on demand (currentAsync, resolvePending).
+ * Once resolved, the value is validated and stored in place of the entry like a regular commit.
+ */
+
+var REJECTION_POLICIES = ["error", "drop"];
+
+function PendingEntry(source) {
+  this.source = source;
+
+  /**
+   * Promise of the value while it's being resolved, so concurrent reads share it.
+   */
+  this.promise = null;
+}
+
+var isPending = (item) => item instanceof PendingEntry;
+var isSettled = (slot) => !isItemEmpty(slot) && !isPending(slot);
+
+var assertLazySource = (self, source) => {
+  if (self.delta) {
+    throw new Error(`Lazy commits are not supported with delta storage.`);
+  }
+
+  if (typeof source !== "function" && !isThenable(source)) {
+    throw new Error(`Lazy commit expects a function or a promise. Got "${stringify(source)}".`);
+  }
+};
+
+var createPendingEntry = (source) => {
+  // Rejections are handled once the entry is resolved.
+  if (isThenable(source)) Promise.resolve(source).catch(() => {});
+  return new PendingEntry(source);
+};
+
+var settle = (entry) => {
+  if (entry.promise) return entry.promise;
+
+  entry.promise = new Promise((resolve) =>
+    resolve(typeof entry.source === "function" ? entry.source() : entry.source),
+  );
+
+  return entry.promise;
+};
+
+/**
+ * @description
+ * Returns the pointer of the entry with the given id if it still holds the pending entry.
+ */
+var findPendingPointer = (self, id, entry) => {
+  var position = findPosition(self, id);
+  if (position === -1) return -1;
+  var pointer = getNavigationRange(self).oldest + position;
+  return readSlot(self, pointer) === entry ? pointer : -1;
+};
+
+/**
+ * @description
+ * Removes the rejected entry and rebuilds the buffer without it. The pointer moves
+ * to the previous item if it was at the removed one.
+ */
+var dropEntry = (self, id, entry) => {
+  var pointer = findPendingPointer(self, id, entry);
+  if (pointer === -1) return;
+
+  spliceItems(self, pointer - getNavigationRange(self).oldest, 1, [], []);
+  scheduleSave(self);
+};
+
+/**
+ * @description
+ * Resolves the pending entry with the given id and stores the value in place of it.
+ * Returns the stored item. If the factory throws, the promise rejects or the value
+ * is invalid, the entry is either dropped (onReject: "drop"), in which case undefined
+ * is returned, or stays pending and the error is thrown (onReject: "error").
+ */
+var resolveEntry = async (self, id, entry) => {
+  try {
+    var value = await settle(entry);
+    assertCanCommit(value, self.type);
+    var item = self.snapshot.store(value);
+    var size = measureItem(self, value, item);
+  } catch (error) {
+    entry.promise = null;
+    if (self.onReject === "error") throw error;
+
+    dropEntry(self, id, entry);
+    if (hasListeners(self, "error")) emit(self, { type: "error", error: error });
+    return undefined;
+  }
+
+  var pointer = findPendingPointer(self, id, entry);
+  if (pointer === -1) return item;
+
+  writeItem(self, pointer, item, false, size);
+  var evicted = exposeItems(self, enforceBudget(self));
+  scheduleSave(self);
+
+  evicted.forEach((evictedItem) => {
+    emit(self, { type: "overwrite", value: evictedItem });
+  });
+
+  emit(self, { type: "resolve", id: id, value: exposeItem(self, item), evicted: evicted });
+
+  return item;
+};
+
+/**
+ * @description
+ * Resolves all pending entries within the navigation range in chronological order.
+ */
+var resolvePendingEntries = async (self) => {
+  var range = getNavigationRange(self);
+  if (!range) return;
+
+  var pending = [];
+
+  for (var pointer = range.oldest; pointer <= range.newest; pointer++) {
+    var slot = readSlot(self, pointer);
+    if (isPending(slot))
+      pending.push([self.slots.getMeta(makeIndex(pointer, self.capacity)).id, slot]);
+  }
+
+  for (var [id, entry] of pending) {
+    await resolveEntry(self, id, entry);
+  }
+};
+
+var hasPendingEntries = (self) => readRange(self, 0, getSize(self) - 1).some(isPending);
+
+/**
+ * @description
+ * Throws if an item within the navigation range is pending, since it can't be serialized.
+ * Pending entries outside of it can't be navigated to anymore and are skipped.
+ */
+var assertSettled = (self) => {
+  if (hasPendingEntries(self)) {
+    throw new Error(`History has pending items. Resolve them with resolvePending first.`);
+  }
+};
+
+/**
+ * #Batching
+ *
+ * @description
+ * Commits within a batch, or commits that are coalesced with the previous one,
+ * replace the current item instead of adding a new one. lastCommit holds { id, key }
+ * of the item added by the last commit, so an item is only replaced if it's
+ * still the current and the newest one.
+ */
+
+var takeSnapshot = (self) => ({
+  slots: self.slots.clone(),
+  sizes: self.sizes && self.sizes.slice(),
+  bytes: self.bytes,
+  capacity: self.capacity,
+  pointer: self.pointer,
+  navigatedItemsCount: self.navigatedItemsCount,
+  navigationUpperBound: self.navigationUpperBound,
+  lastCommit: self.lastCommit,
+});
+
+var assertCommitOptions = (options) => {
+  if (typeof options !== "object" || options === null) {
+    throw new Error(`Commit options must be an object. Got "${stringify(options)}".`);
+  }
+
+  var window = options.coalesceWindow;
+
+  if (window !== undefined && (typeof window !== "number" || !(window >= 0))) {
+    throw new Error(`Coalesce window must be a non-negative number. Got "${stringify(window)}".`);
+  }
+
+  if (options.lazy !== undefined && typeof options.lazy !== "boolean") {
+    throw new Error(`Lazy option must be a boolean. Got "${stringify(options.lazy)}".`);
+  }
+};
+
+var shouldCoalesce = (self, meta, options) => {
+  var last = self.lastCommit;
+  var current = readCurrentMeta(self);
+
+  if (!last || current?.id !== last.id || getPosition(self) !== getSize(self) - 1) return false;
+  if (self.batch) return self.batch.id === last.id;
+
+  var key = options.coalesceKey;
+  var window = options.coalesceWindow;
+  if (key === undefined && window === undefined) return false;
+
+  var elapsed = (meta.timestamp ?? self.clock()) - current.timestamp;
+  return (key === undefined || key === last.key) && (window === undefined || elapsed <= window);
+};
+
+var coalesce = (self, value, meta, size, key) => {
+  var notify = hasListeners(self, "replace") || hasListeners(self, "overwrite");
+  var previous = notify ? readItem(self, self.pointer) : FLAGS.empty;
+
+  replaceItem(self, value, createMeta(self, meta, readCurrentMeta(self)), size);
+  self.lastCommit = { id: self.lastCommit.id, key: key };
+
+  var evicted = enforceBudget(self).concat(evictExpired(self));
+  if (!notify) return;
+
+  previous = exposeItem(self, previous);
+  evicted = exposeItems(self, evicted);
+
+  evicted.forEach((item) => {
+    emit(self, { type: "overwrite", value: item });
+  });
+
+  emit(self, {
+    type: "replace",
+    value: exposeItem(self, value),
+    previous: previous,
+    evicted: evicted,
+  });
+};
+
+/**
+ * #Commit
+ */
+
+/**
+ * @description
+ * Validates the commit and returns false if it should be skipped because
+ * the value equals the current item. Lazy commits are never skipped, since
+ * their value is not known yet.
+ */
+var shouldCommit = (self, value, meta, options) => {
+  assertCommitOptions(options);
+  if (options.lazy) assertLazySource(self, value);
+  else assertCanCommit(value, self.type);
+  assertMeta(meta);
+
+  if (options.lazy || !self.equals || self.pointer === EMPTY_POINTER) return true;
+
+  var current = readItem(self, self.pointer);
+  return isPending(current) || !self.equals(current, value);
+};
+
+var applyCommit = (self, value, meta, options) => {
+  var item = options.lazy ? createPendingEntry(value) : self.snapshot.store(value);
+  var size = options.lazy ? undefined : measureItem(self, value, item);
+  if (options.lazy) value = FLAGS.pending;
+
+  if (shouldCoalesce(self, meta, options)) {
+    coalesce(self, item, meta, size, options.coalesceKey);
+    scheduleSave(self);
+    return true;
+  }
+
+  var entryMeta = createMeta(self, meta);
+  var notify = hasListeners(self, "commit") || hasListeners(self, "overwrite");
+  var rangeBefore = (notify || dropsStaleItems(self)) && getNavigationRange(self);
+  var pointerBefore = self.pointer;
+  var oldestItem = notify && rangeBefore ? readItem(self, rangeBefore.oldest) : FLAGS.empty;
+  var discarded =
+    notify && rangeBefore ? readItems(self, pointerBefore + 1, rangeBefore.newest) : [];
+
+  var capacity = self.capacity;
+
+  if (dropsStaleItems(self) && rangeBefore) prepareCommit(self, rangeBefore, pointerBefore);
+
+  if (self.navigatedItemsCount === capacity - 1) {
+    self.navigationUpperBound = capacity - 1;
+    self.navigatedItemsCount = capacity - 1;
+  } else {
+    self.navigationUpperBound = ++self.navigatedItemsCount;
+  }
+
+  writeItem(self, ++self.pointer, item, pointerBefore !== EMPTY_POINTER && capacity > 1, size);
+  self.slots.setMeta(makeIndex(self.pointer, capacity), entryMeta);
+  self.lastCommit = { id: entryMeta.id, key: options.coalesceKey };
+  if (self.batch) self.batch.id = entryMeta.id;
+
+  /**
+   * @description
+   *
+   * The oldest item is overwritten only if it has not been discarded
+   * as a part of the redo range, which happens when the pointer was
+   * at the empty state before committing.
+   */
+  var overwritten =
+    notify &&
+    rangeBefore &&
+    rangeBefore.oldest <= pointerBefore &&
+    getNavigationRange(self).oldest > rangeBefore.oldest
+      ? oldestItem
+      : FLAGS.empty;
+
+  var evicted = enforceBudget(self).concat(evictExpired(self));
+  scheduleSave(self);
+
+  if (!notify) return true;
+
+  if (overwritten !== FLAGS.empty) evicted.unshift(overwritten);
+  overwritten = exposeItem(self, overwritten);
+  discarded = exposeItems(self, discarded);
+  evicted = exposeItems(self, evicted);
+
+  evicted.forEach((item) => {
+    emit(self, { type: "overwrite", value: item });
+  });
+
+  emit(self, {
+    type: "commit",
+    value: value,
+    overwritten: overwritten,
+    discarded: discarded,
+    evicted: evicted,
+  });
+
+  return true;
+};
+
+/**
+ * #Persistence
+ *
+ * @description
+ * With the autosave option, the state is written to the storage adapter slot by slot.
+ * Each occupied slot is stored as [encoded item, meta] under "key/index", the pins under
+ * "key/pins", and the header (everything else, including the indices of the stored slots)
+ * under the key itself. Only the slots that have changed since the last save are written,
+ * and the header is written last, so it never references slots that have not been saved yet.
+ */
+
+var markDirty = (self, index) => {
+  if (self.autosave) self.autosave.dirty.add(index);
+};
+
+var markAllDirty = (self) => {
+  if (self.autosave) self.autosave.dirtyAll = true;
+};
+
+var getSlotKey = (key, index) => `${key}/${index}`;
+var getPinsKey = (key) => `${key}/pins`;
+
+/**
+ * @description
+ * Collects the pending writes and resets the dirty state synchronously, so the changes
+ * made while the writes are in progress are picked up by the next save.
+ * Each write is [key, value], or [key] if the key has to be removed.
+ */
+var takeWrites = (self) => {
+  var persist = self.autosave;
+  var encode = resolveCodec(persist.codec, self.dataType).encode;
+  var slots = readSlots(self);
+  var occupied = [];
+  var writes = [];
+
+  slots.forEach((slot, index) => {
+    if (isSettled(slot)) occupied.push(index);
+  });
+
+  var indices = persist.dirtyAll ? new Set([...persist.stored, ...occupied]) : persist.dirty;
+
+  indices.forEach((index) => {
+    var key = getSlotKey(persist.key, index);
+    if (isSettled(slots[index])) {
+      writes.push([key, [encode(slots[index]), self.slots.getMeta(index)]]);
+    } else if (persist.stored.has(index)) {
+      writes.push([key]);
+    }
+  });
+
+  if (persist.pinsDirty) {
+    var pins = [...self.pins.values()].map((pin) => [encode(pin.value), pin.meta]);
+    writes.push([getPinsKey(persist.key), pins]);
+  }
+
+  writes.push([
+    persist.key,
+    {
+      version: SERIALIZATION_VERSION,
+      capacity: self.capacity,
+      dataType: typeof self.dataType === "string" ? self.dataType : self.type.name,
+      pointer: self.pointer,
+      navigatedItemsCount: self.navigatedItemsCount,
+      navigationUpperBound: self.navigationUpperBound,
+      nextId: self.nextId,
+      indices: occupied,
+    },
+  ]);
+
+  var stored = persist.stored;
+  persist.dirty = new Set();
+  persist.dirtyAll = false;
+  persist.pinsDirty = false;
+  persist.stored = new Set(occupied);
+
+  return { writes: writes, stored: new Set([...stored, ...occupied]) };
+};
+
+/**
+ * @description
+ * Writes the pending changes after the previous save has finished.
+ * If a write fails, everything is marked as dirty, so the next save starts over.
+ * Lazy items are resolved first, since they can't be stored while pending.
+ */
+var flush = (self) => {
+  if (hasPendingEntries(self)) return resolvePendingEntries(self).then(() => flush(self));
+
+  var persist = self.autosave;
+  var adapter = persist.adapter;
+  var pending = takeWrites(self);
+
+  var write = pending.writes.reduce(
+    (promise, [key, value]) =>
+      promise.then(() => (value === undefined ? adapter.remove(key) : adapter.save(key, value))),
+    persist.queue,
+  );
+
+  persist.queue = write.then(
+    () => undefined,
+    () => undefined,
+  );
+
+  return write.catch((error) => {
+    persist.dirtyAll = true;
+    persist.pinsDirty = true;
+    pending.stored.forEach((index) => persist.stored.add(index));
+    throw error;
+  });
+};
+
+/**
+ * @description
+ * Saves the changes once the throttle time has passed since the first unsaved change.
+ * Errors are passed to the onError function of the autosave option and emitted
+ * as "error" events, since rethrowing them from a timer would be an unhandled rejection.
+ * The timer doesn't keep a Node.js process alive.
+ */
+var scheduleSave = (self) => {
+  var persist = self.autosave;
+  if (!persist || persist.timer !== null) return;
+
+  var save = () => {
+    persist.timer = null;
+
+    flush(self).catch((error) => {
+      persist.onError(error);
+      emit(self, { type: "error", error: error });
+    });
+  };
+
+  if (persist.throttle === 0) {
+    save();
+  } else {
+    persist.timer = setTimeout(save, persist.throttle);
+    persist.timer.unref?.();
+  }
+};
+
+/**
+ * @description
+ *
+ * Circular History
+ *
+ * Data structure that holds a fixed amount of items of a specific data type.
+ * Supports committing new items, and moving backward and forward through the committed items.
+ * When the buffer is full the wrapping occurs and the oldest items are overwritten.
+ * After moving backward, new commits will overwrite the items ahead of the current pointer which
+ * makes this data structure suitable for undo-redo implementations like history management.
+ *
+ * @param {number} capacity - Maximum amount of items in the buffer
+ * @param {string|object|Function} dataType - Data type of each slot. One of the ALLOWED_DATA_TYPES,
+ * a type descriptor (see CircularHistory.types) or a validator function that returns true for valid values.
+ * @param {object} [options] - Additional options
+ * @param {boolean|object} [options.delta] - Enables delta storage: true or { keyframeInterval, diff, patch }
+ * @param {number} [options.maxBytes] - Evicts the oldest items when their total size exceeds it
+ * @param {Function} [options.sizeOf] - Returns the size of the item in bytes, see estimateSize
+ * @param {string|Function} [options.equals] - Skips commits equal to the current item: "strict",
+ * "shallow", "deep" or a comparator function (see CircularHistory.EQUALITY)
+ * @param {string} [options.snapshot] - How committed objects are protected from mutations:
+ * "reference" (default), "clone" or "freeze"
+ * @param {number} [options.maxPins] - Maximum amount of pinned items, 10 by default
+ * @param {boolean} [options.typedStorage] - Stores numbers and bigints in typed arrays, true by default
+ * @param {number} [options.maxAge] - Evicts the items committed more than maxAge ms ago
+ * on commits and moves
+ * @param {Function} [options.clock] - Returns the current time in ms, Date.now by default
+ * @param {string} [options.onReject] - What happens to a lazy item that fails to resolve:
+ * "error" (default) keeps it pending and throws, "drop" removes it from the history
+ * @param {object} [options.autosave] - Saves the changes to the storage adapter:
+ * { adapter, key, onError, throttle, codec } (see CircularHistory.adapters and CircularHistory.restore)
+ */
+function CircularHistory(capacity, dataType, options = {}) {
+  assertCapacity(capacity);
+  var type = resolveDataType(dataType);
+
+  if (typeof options !== "object" || options === null) {
+    throw new Error(`Options must be an object. Got "${String(options)}".`);
+  }
+
+  var budget = resolveBudget(options.maxBytes, options.sizeOf);
+  var delta = resolveDelta(options.delta);
+  var autosave = resolveAutosave(options.autosave);
+  var maxPins = options.maxPins ?? DEFAULT_MAX_PINS;
+
+  if (!isInteger(maxPins, 0)) {
+    throw new Error(`maxPins must be a non-negative integer. Got "${String(maxPins)}".`);
+  }
+
+  var maxAge = options.maxAge ?? null;
+  var clock = options.clock ?? (() => Date.now());
+
+  if (maxAge !== null && (typeof maxAge !== "number" || !(maxAge > 0))) {
+    throw new Error(`maxAge must be a positive number. Got "${String(maxAge)}".`);
+  }
+
+  if (typeof clock !== "function") {
+    throw new Error(`Clock must be a function. Got "${typeof clock}".`);
+  }
+
+  var onReject = options.onReject ?? "error";
+
+  if (!REJECTION_POLICIES.includes(onReject)) {
+    throw new Error(
+      `onReject must be one of: ${REJECTION_POLICIES.join(", ")}. Got "${String(onReject)}".`,
+    );
+  }
+
+  if (options.typedStorage !== undefined && typeof options.typedStorage !== "boolean") {
+    throw new Error(`typedStorage must be a boolean. Got "${String(options.typedStorage)}".`);
+  }
+
+  /**
+   * @description
+   *
+   * Delta records are objects, so typed arrays can only be used for the items stored as is.
+   */
+  var typedSlots = options.typedStorage !== false && delta === null;
+
+  STATE.set(this, {
+    /**
+     * Represents range [0, navigationUpperBound] of how many items can be used
+     * for navigation.
+     */
+    navigationUpperBound: NAVIGATION_LOWER_BOUND,
+
+    /**
+     * Represents current index within the navigation range [0, navigationUpperBound].
+     */
+    navigatedItemsCount: NAVIGATION_LOWER_BOUND,
+
+    /**
+     * Current pointer. It does not point to an index in the buffer directly.
+     * It is used to calculate the index in the buffer using modulo operation.
+     * Initial value is -1 which means no items have been committed yet.
+     * It's also possible to move back from 0 to -1 to represent the state
+     * where no item is selected but only in case when we at the very beginning.
+     * See moveBackward method for more details.
+     */
+    pointer: EMPTY_POINTER,
+
+    /**
+     * Total maximum amount of items.
+     */
+    capacity: capacity,
+
+    /**
+     * Data type of each slot as it was passed to the constructor.
+     */
+    dataType: dataType,
+
+    /**
+     * Type descriptor used to validate committed values.
+     */
+    type: type,
+
+    /**
+     * Items and their metadata { id, timestamp, label } by buffer index.
+     * Should always be pre-allocated with capacity. See slots.js.
+     */
+    slots: createSlots(capacity, dataType, typedSlots),
+
+    /**
+     * Whether numbers and bigints are stored in typed arrays.
+     */
+    typedSlots: typedSlots,
+
+    /**
+     * Id that will be assigned to the next committed item.
+     */
+    nextId: 0,
+
+    /**
+     * { id, key } of the item added by the last commit. See the #Batching section.
+     */
+    lastCommit: null,
+
+    /**
+     * Batch in progress { id, levels } or null. id is the item that collects the commits
+     * of the batch and levels holds a snapshot of the state for each nested beginBatch call.
+     */
+    batch: null,
+
+    /**
+     * Subscribed event listeners.
+     */
+    listeners: [],
+
+    /**
+     * Guards called before the moves and the commits. See the #Guards section.
+     */
+    guards: { beforeMove: [], beforeCommit: [] },
+
+    /**
+     * Promise that settles when all enqueued async moves and commits have settled.
+     */
+    queue: Promise.resolve(),
+
+    /**
+     * Delta storage config { keyframeInterval, diff, patch } or null if items are stored as is.
+     * See the #Storage section.
+     */
+    delta: delta,
+
+    /**
+     * Memory budget { maxBytes, sizeOf } or null if the size of the items is not tracked.
+     * See the #Storage section.
+     */
+    budget: budget,
+
+    /**
+     * Comparator of the committed value and the current item or null if commits are never skipped.
+     */
+    equals: resolveEquals(options.equals),
+
+    /**
+     * Snapshot policy { store, read } applied to the committed objects.
+     */
+    snapshot: resolveSnapshot(options.snapshot),
+
+    /**
+     * Pinned items { value, meta } by id. They are stored outside of the buffer,
+     * so they stay restorable after being overwritten or discarded.
+     */
+    pins: new Map(),
+
+    /**
+     * Maximum amount of pinned items.
+     */
+    maxPins: maxPins,
+
+    /**
+     * Maximum age of the items in ms or null if they never expire.
+     */
+    maxAge: maxAge,
+
+    /**
+     * Returns the current time, used for the timestamps and the expiration.
+     */
+    clock: clock,
+
+    /**
+     * What happens to lazy items that fail to resolve. See the #Lazy entries section.
+     */
+    onReject: onReject,
+
+    /**
+     * Size of each slot in bytes. Only allocated when the budget is set.
+     */
+    sizes: budget ? new Array(capacity) : null,
+
+    /**
+     * Total size of the items within the navigation range in bytes.
+     */
+    bytes: 0,
+
+    /**
+     * Autosave state or null if autosave is disabled. See the #Persistence section.
+     */
+    autosave: autosave && {
+      ...autosave,
+
+      /**
+       * Indices of the slots that have changed since the last save.
+       */
+      dirty: new Set(),
+
+      /**
+       * Whether all slots have to be saved, e.g. after the buffer has been rebuilt.
+       */
+      dirtyAll: true,
+      pinsDirty: true,
+
+      /**
+       * Indices of the slots that are currently in the storage.
+       */
+      stored: new Set(),
+
+      /**
+       * Pending throttle timer and the promise of the last save.
+       */
+      timer: null,
+      queue: Promise.resolve(),
+    },
+  });
+}
+
+/**
+ * @description
+ * Adds the item after the current one, discarding the items ahead of it.
+ * The metadata is stored together with the item along with a unique id and
+ * a timestamp (see currentMeta).
+ *
+ * Within a batch, or if the coalescing options match the previous commit, the current item
+ * is replaced instead, as long as it's the item added by the previous commit.
+ * If the equals option is set and the value equals the current item, the commit is skipped.
+ * Returns false if the commit has been skipped, true otherwise.
+ *
+ * @param {*} value - Item to commit
+ * @param {object} [meta] - Metadata of the item, like { label: "Move layer" }
+ * @param {object} [options] - Commit options
+ * @param {*} [options.coalesceKey] - Replaces the item if the previous commit had the same key
+ * @param {number} [options.coalesceWindow] - Replaces the item if it was committed within the window (ms)
+ * @param {boolean} [options.lazy] - Commits a factory or a promise of the item, see currentAsync
+ */
+CircularHistory.prototype.commit = function (value, meta = {}, options = {}) {
+  var self = STATE.get(this);
+  if (!shouldCommit(self, value, meta, options)) return false;
+
+  if (
+    hasGuards(self, "beforeCommit") &&
+    !runGuards(self, "beforeCommit", { value: value, meta: meta }, "commitAsync")
+  ) {
+    return false;
+  }
+
+  return applyCommit(self, value, meta, options);
+};
+
+/**
+ * @description
+ * Same as commit, but waits for the beforeCommit guards that return a promise.
+ * The commit is queued behind the pending async moves and commits.
+ * Resolves with false if the commit has been skipped or cancelled by a guard.
+ *
+ * @param {*} value - Item to commit
+ * @param {object} [meta] - Metadata of the item
+ * @param {object} [options] - Commit options, see commit
+ */
+CircularHistory.prototype.commitAsync = function (value, meta = {}, options = {}) {
+  var self = STATE.get(this);
+
+  return enqueue(self, async () => {
+    if (!shouldCommit(self, value, meta, options)) return false;
+    if (!(await runGuardsAsync(self, "beforeCommit", { value: value, meta: meta }))) return false;
+    return shouldCommit(self, value, meta, options) && applyCommit(self, value, meta, options);
+  });
+};
+
+CircularHistory.prototype.current = function () {
+  var self = STATE.get(this);
+  if (self.pointer === EMPTY_POINTER) return FLAGS.empty;
+  var nextItem = readItem(self, self.pointer);
+  return isItemEmpty(nextItem) ? FLAGS.empty : exposeItem(self, nextItem);
+};
+
+/**
+ * @description
+ * Same as current, but resolves the current item if it has been committed lazily.
+ * The factory is called (or the promise awaited) only once and the value is validated
+ * and stored in place of the pending item. If the item fails to resolve, the promise
+ * rejects and the item stays pending (onReject: "error"), or the item is dropped and
+ * the item that becomes current is returned instead (onReject: "drop").
+ */
+CircularHistory.prototype.currentAsync = async function () {
+  var self = STATE.get(this);
+  var item = self.pointer === EMPTY_POINTER ? undefined : readItem(self, self.pointer);
+  if (!isPending(item)) return this.current();
+
+  var resolved = await resolveEntry(self, readCurrentMeta(self).id, item);
+  return resolved === undefined ? this.currentAsync() : exposeItem(self, resolved);
+};
+
+/**
+ * @description
+ * Resolves all lazy items available for navigation in chronological order,
+ * e.g. before serializing the history. Rejects on the first item that fails
+ * to resolve unless the onReject option is "drop".
+ */
+CircularHistory.prototype.resolvePending = function () {
+  return resolvePendingEntries(STATE.get(this));
+};
+
+/**
+ * @description
+ * Returns the metadata { id, timestamp, label, ... } of the current item
+ * or FLAGS.empty if no item is selected.
+ */
+CircularHistory.prototype.currentMeta = function () {
+  return readCurrentMeta(STATE.get(this)) ?? FLAGS.empty;
+};
+
+/**
+ * @description
+ * Returns the metadata of the items available for navigation in chronological order.
+ */
+CircularHistory.prototype.metadata = function () {
+  var self = STATE.get(this);
+  return readMetaRange(self, 0, getSize(self) - 1);
+};
+
+CircularHistory.prototype.moveBackward = function () {
+  var self = STATE.get(this);
+  if (canMove(this, self, -1)) expireAndMove(this, self, -1);
+};
+
+CircularHistory.prototype.moveForward = function () {
+  var self = STATE.get(this);
+  if (canMove(this, self, 1)) expireAndMove(this, self, 1);
+};
+
+/**
+ * @description
+ * Same as moveBackward, but waits for the beforeMove guards that return a promise.
+ * The move is queued behind the pending async moves and commits.
+ * Resolves with true if the pointer has been moved.
+ */
+CircularHistory.prototype.moveBackwardAsync = function () {
+  return moveAsync(this, STATE.get(this), -1);
+};
+
+/**
+ * @description
+ * Same as moveForward, but waits for the beforeMove guards that return a promise.
+ * Resolves with true if the pointer has been moved.
+ */
+CircularHistory.prototype.moveForwardAsync = function () {
+  return moveAsync(this, STATE.get(this), 1);
+};
+
+/**
+ * @description
+ * Moves backward (negative delta) or forward (positive delta) by several items at once.
+ * Follows the same bounds as moveBackward and moveForward, including the ability to move
+ * back to the empty state. Returns the amount of steps that have actually been taken,
+ * which is 0 if a beforeMove guard has cancelled the move.
+ *
+ * @param {number} delta - Amount of items to move by
+ */
+CircularHistory.prototype.go = function (delta) {
+  assertInteger(delta, "Delta");
+  var self = STATE.get(this);
+  return canMove(this, self, delta) ? expireAndMove(this, self, delta) : 0;
+};
+
+/**
+ * @description
+ * Moves to the chronological position (see the position accessor), where -1 is the empty state.
+ * Stops at the bound if the position is out of the navigation range.
+ * Returns the amount of steps that have actually been taken.
+ *
+ * @param {number} position - Target position
+ */
+CircularHistory.prototype.goTo = function (position) {
+  assertInteger(position, "Position");
+  var self = STATE.get(this);
+  return this.go(position - getPosition(self));
+};
+
+/**
+ * @description
+ * Returns the chronological position of the item with the given id
+ * or -1 if it's not available for navigation.
+ *
+ * @param {number} id - Id of the item (see currentMeta)
+ */
+CircularHistory.prototype.positionOf = function (id) {
+  return findPosition(STATE.get(this), id);
+};
+
+/**
+ * @description
+ * Moves to the item with the given id. Throws if the item is not available
+ * for navigation anymore. Returns the amount of steps that have been taken.
+ *
+ * @param {number} id - Id of the item (see currentMeta)
+ */
+CircularHistory.prototype.goToId = function (id) {
+  var self = STATE.get(this);
+  var position = findPosition(self, id);
+
+  if (position === -1 || position < countExpired(self)) {
+    expire(self);
+    throw new Error(`Item with id "${stringify(id)}" is not available for navigation.`);
+  }
+
+  return this.goTo(position);
+};
+
+/**
+ * @description
+ * Moves to the latest item committed at or before the timestamp. Returns its position,
+ * or -1 if all items have been committed later, in which case the pointer stays the same.
+ *
+ * @param {number} timestamp - Time in milliseconds, like the timestamps of the metadata
+ */
+CircularHistory.prototype.goToTime = function (timestamp) {
+  if (!Number.isFinite(timestamp)) {
+    throw new Error(`Timestamp must be a number. Got "${stringify(timestamp)}".`);
+  }
+
+  var self = STATE.get(this);
+  var expired = countExpired(self);
+
+  var position = readMetaRange(self, expired, getSize(self) - 1).findLastIndex(
+    (meta) => meta.timestamp <= timestamp,
+  );
+
+  if (position !== -1) return goToPosition(this, self, expired + position);
+
+  expire(self);
+  return -1;
+};
+
+CircularHistory.prototype.goToStart = function () {
+  return this.go(-getSize(STATE.get(this)) - 1);
+};
+
+CircularHistory.prototype.goToEnd = function () {
+  return this.go(getSize(STATE.get(this)) + 1);
+};
+
+/**
+ * @description
+ * Returns the item at offset from the current one without moving the pointer
+ * (negative offset looks behind, positive looks ahead). Returns FLAGS.empty if
+ * that item can't be reached with moveBackward or moveForward.
+ *
+ * @param {number} offset - Offset from the current item
+ */
+CircularHistory.prototype.peek = function (offset) {
+  assertInteger(offset, "Offset");
+  var self = STATE.get(this);
+
+  var probe = {
+    pointer: self.pointer,
+    navigatedItemsCount: self.navigatedItemsCount,
+    navigationUpperBound: self.navigationUpperBound,
+  };
+
+  if (navigate(probe, offset) !== Math.abs(offset) || probe.pointer === EMPTY_POINTER) {
+    return FLAGS.empty;
+  }
+
+  return exposeItem(self, readItem(self, probe.pointer));
+};
+
+/**
+ * @description
+ * Returns the oldest item that satisfies the predicate or FLAGS.empty.
+ * The predicate is called with the item, its chronological position and its metadata.
+ *
+ * @param {Function} predicate - Returns true for the item to find
+ * @param {object} [options] - Search options
+ * @param {string} [options.side] - Searches only the "undo" side (up to the current item)
+ * or only the "redo" side (after the current item)
+ */
+CircularHistory.prototype.find = function (predicate, options = {}) {
+  var entry = findEntry(STATE.get(this), predicate, options, false);
+  return entry ? entry.value : FLAGS.empty;
+};
+
+/**
+ * @description
+ * Returns the newest item that satisfies the predicate or FLAGS.empty.
+ *
+ * @param {Function} predicate - Returns true for the item to find
+ * @param {object} [options] - Search options, see find
+ */
+CircularHistory.prototype.findLast = function (predicate, options = {}) {
+  var entry = findEntry(STATE.get(this), predicate, options, true);
+  return entry ? entry.value : FLAGS.empty;
+};
+
+/**
+ * @description
+ * Returns the items that satisfy the predicate in chronological order.
+ *
+ * @param {Function} predicate - Returns true for the items to keep
+ * @param {object} [options] - Search options, see find
+ */
+CircularHistory.prototype.filter = function (predicate, options = {}) {
+  assertPredicate(predicate);
+  var self = STATE.get(this);
+
+  return readEntries(self, ...getSearchRange(self, options))
+    .filter(matchEntry(predicate))
+    .map((entry) => entry.value);
+};
+
+/**
+ * @description
+ * Returns the chronological position of the oldest item equal to the value or -1.
+ * Items are compared with the equals option if it's set and with Object.is otherwise.
+ *
+ * @param {*} value - Item to look for
+ * @param {object} [options] - Search options, see find
+ */
+CircularHistory.prototype.indexOf = function (value, options = {}) {
+  var self = STATE.get(this);
+  var equals = self.equals ?? EQUALITY.strict;
+  var entry = findEntry(self, (item) => equals(item, value), options, false);
+  return entry ? entry.position : -1;
+};
+
+/**
+ * @description
+ * Moves to the nearest item before (or after) the current one that satisfies the predicate.
+ * Returns the chronological position of the item or -1 if there is no match,
+ * in which case the pointer stays where it was.
+ *
+ * @param {Function} predicate - Returns true for the item to move to
+ * @param {string} [direction] - "backward" (default) or "forward"
+ */
+CircularHistory.prototype.seek = function (predicate, direction = "backward") {
+  assertPredicate(predicate);
+  var self = STATE.get(this);
+  var expired = countExpired(self);
+  var position = getPosition(self);
+  var entries;
+
+  if (direction === "backward") {
+    entries = readEntries(self, expired, position - 1).reverse();
+  } else if (direction === "forward") {
+    entries = readEntries(self, Math.max(position + 1, expired), getSize(self) - 1);
+  } else {
+    throw new Error(`Direction must be "backward" or "forward". Got "${stringify(direction)}".`);
+  }
+
+  var entry = entries.find(matchEntry(predicate));
+  if (entry) return goToPosition(this, self, entry.position);
+
+  expire(self);
+  return -1;
+};
+
+CircularHistory.prototype.clear = function () {
+  var self = STATE.get(this);
+  var range = hasListeners(self, "clear") && getNavigationRange(self);
+  var cleared = range ? exposeItems(self, readItems(self, range.oldest, range.newest)) : [];
+
+  self.navigatedItemsCount = NAVIGATION_LOWER_BOUND;
+  self.navigationUpperBound = NAVIGATION_LOWER_BOUND;
+  self.pointer = EMPTY_POINTER;
+  resetBuffer(self);
+  scheduleSave(self);
+
+  emit(self, { type: "clear", cleared: cleared });
+};
+
+/**
+ * @description
+ * Merges the items between the chronological positions from and to (both inclusive)
+ * into a single item, e.g. to compact the history after it has been saved.
+ * merge is called with the values and the metadata of the items and returns the merged value,
+ * which is type checked like a committed one. Without merge, the last value is kept.
+ * The merged item keeps the metadata of the last item. If the pointer was within the range,
+ * it moves to the merged item. Returns the squashed items.
+ *
+ * @param {number} from - Position of the first item
+ * @param {number} to - Position of the last item
+ * @param {Function} [merge] - Returns the merged value: (values, metas) => value
+ */
+CircularHistory.prototype.squash = function (from, to, merge) {
+  var self = STATE.get(this);
+  assertRange(self, from, to);
+
+  if (merge !== undefined && typeof merge !== "function") {
+    throw new Error(`Merge must be a function. Got "${typeof merge}".`);
+  }
+
+  var items = readRange(self, from, to);
+  var metas = readMetaRange(self, from, to);
+
+  if (items.some(isPending)) {
+    throw new Error(`Range [${from}, ${to}] has pending items. Resolve them before squashing.`);
+  }
+
+  var value = merge ? merge(exposeItems(self, items), metas) : items[items.length - 1];
+  assertCanCommit(value, self.type);
+  var item = merge ? self.snapshot.store(value) : value;
+  measureItem(self, value, item);
+
+  var removed = spliceItems(self, from, to - from + 1, [item], [metas[metas.length - 1]]);
+  return finishEdit(self, "squash", removed);
+};
+
+/**
+ * @description
+ * Removes the item at the chronological position. If the pointer was at that item,
+ * it moves to the previous one (or to the next one if the empty state can't be reached).
+ * Returns the removed item.
+ *
+ * @param {number} position - Position of the item
+ */
+CircularHistory.prototype.removeAt = function (position) {
+  var self = STATE.get(this);
+  assertRange(self, position, position);
+
+  return finishEdit(self, "removeAt", spliceItems(self, position, 1, [], []))[0];
+};
+
+/**
+ * @description
+ * Replaces the current item in place without adding a new one, e.g. to fix up
+ * a snapshot after a lossless migration. The value is type checked like a committed one,
+ * and the metadata is merged into the current one, keeping its id and timestamp
+ * unless the timestamp is passed. Emits the replace event.
+ *
+ * @param {*} value - New value of the current item
+ * @param {object} [meta] - Metadata to merge into the current one
+ */
+CircularHistory.prototype.replaceCurrent = function (value, meta = {}) {
+  var self = STATE.get(this);
+  assertCanCommit(value, self.type);
+  assertMeta(meta);
+
+  if (self.pointer === EMPTY_POINTER) {
+    throw new Error(`There is no current item to replace.`);
+  }
+
+  var item = self.snapshot.store(value);
+  var size = measureItem(self, value, item);
+
+  var current = readCurrentMeta(self);
+  var previous = readItem(self, self.pointer);
+
+  var entryMeta = Object.freeze({
+    ...current,
+    ...meta,
+    id: current.id,
+    timestamp: meta.timestamp ?? current.timestamp,
+  });
+
+  /**
+   * @description
+   *
+   * With delta storage the next item is stored against the current one,
+   * so the items after it have to be encoded again.
+   */
+  if (self.delta) {
+    spliceItems(self, getPosition(self), 1, [item], [entryMeta]);
+  } else {
+    writeItem(self, self.pointer, item, false, size);
+    self.slots.setMeta(makeIndex(self.pointer, self.capacity), entryMeta);
+  }
+
+  var evicted = exposeItems(self, enforceBudget(self));
+  scheduleSave(self);
+
+  evicted.forEach((evictedItem) => {
+    emit(self, { type: "overwrite", value: evictedItem });
+  });
+
+  emit(self, {
+    type: "replace",
+    value: exposeItem(self, item),
+    previous: exposeItem(self, previous),
+    evicted: evicted,
+  });
+};
+
+/**
+ * @description
+ * Removes the items after the current one, so they can't be redone anymore.
+ * Returns the removed items.
+ */
+CircularHistory.prototype.truncateRedo = function () {
+  var self = STATE.get(this);
+  var position = getPosition(self);
+  var count = getSize(self) - position - 1;
+  if (count === 0) return [];
+
+  return finishEdit(self, "truncateRedo", spliceItems(self, position + 1, count, [], []));
+};
+
+/**
+ * @description
+ * Starts a batch. Everything committed until the matching endBatch call collapses
+ * into a single item. Batches can be nested, only the outermost one is committed.
+ */
+CircularHistory.prototype.beginBatch = function () {
+  var self = STATE.get(this);
+  self.batch = self.batch ?? { id: null, levels: [] };
+  self.batch.levels.push({ id: self.batch.id, snapshot: takeSnapshot(self) });
+};
+
+CircularHistory.prototype.endBatch = function () {
+  var self = STATE.get(this);
+  if (!self.batch) throw new Error(`There is no batch in progress.`);
+  self.batch.levels.pop();
+  if (self.batch.levels.length === 0) self.batch = null;
+};
+
+/**
+ * @description
+ * Ends the innermost batch and restores the state it started with.
+ */
+CircularHistory.prototype.abortBatch = function () {
+  var self = STATE.get(this);
+  if (!self.batch) throw new Error(`There is no batch in progress.`);
+
+  var level = self.batch.levels.pop();
+  Object.assign(self, level.snapshot);
+  self.batch.id = level.id;
+  if (self.batch.levels.length === 0) self.batch = null;
+
+  markAllDirty(self);
+  scheduleSave(self);
+
+  emit(self, { type: "rollback", value: this.current() });
+};
+
+/**
+ * @description
+ * Runs fn within a batch and returns its result. If fn throws, the batch is aborted
+ * and the error is rethrown.
+ *
+ * @param {Function} fn - Synchronous function that commits the items
+ */
+CircularHistory.prototype.batch = function (fn) {
+  this.beginBatch();
+
+  try {
+    var result = fn();
+  } catch (error) {
+    this.abortBatch();
+    throw error;
+  }
+
+  this.endBatch();
+  return result;
+};
+
+/**
+ * @description
+ * Changes the capacity keeping the most recent items. Growing keeps all items.
+ * Shrinking pushes out the oldest items first, keeping the current item, and then,
+ * if there is still not enough room, the items ahead of it starting from the newest one.
+ * Returns the evicted items in chronological order.
+ *
+ * @param {number} capacity - New capacity
+ */
+CircularHistory.prototype.setCapacity = function (capacity) {
+  assertCapacity(capacity);
+
+  var self = STATE.get(this);
+  var range = getNavigationRange(self);
+  var items = readRange(self, 0, getSize(self) - 1);
+  var metas = readMetaRange(self, 0, getSize(self) - 1);
+  var position = getPosition(self);
+  var overflow = Math.max(items.length - capacity, 0);
+  var evictedFromStart = Math.min(overflow, Math.max(position, 0));
+  var evictedFromEnd = overflow - evictedFromStart;
+  var evicted = items.splice(0, evictedFromStart);
+
+  evicted.push(...items.splice(items.length - evictedFromEnd));
+  metas = metas.slice(evictedFromStart, metas.length - evictedFromEnd);
+
+  rebuild(
+    self,
+    capacity,
+    items,
+    metas,
+    position === EMPTY_POINTER ? EMPTY_POINTER : position - evictedFromStart,
+    (!range || range.oldest === 0) && evictedFromStart === 0,
+  );
+
+  scheduleSave(self);
+  evicted = exposeItems(self, evicted);
+  emit(self, { type: "resize", capacity: capacity, evicted: evicted });
+
+  return evicted;
+};
+
+/**
+ * @description
+ * Removes the oldest item available for navigation, the same way as if it had been
+ * overwritten. If the pointer was at that item, it moves to the next one.
+ * Returns the evicted item or FLAGS.empty if there are no items.
+ */
+CircularHistory.prototype.evictOldest = function () {
+  var self = STATE.get(this);
+  if (!getNavigationRange(self)) return FLAGS.empty;
+
+  var item = exposeItem(self, evictOldest(self));
+  scheduleSave(self);
+  emit(self, { type: "overwrite", value: item });
+
+  return item;
+};
+
+/**
+ * @description
+ * Evicts the items that are older than the maxAge option right away, e.g. on a timer,
+ * instead of waiting for the next commit or move. Returns the evicted items.
+ */
+CircularHistory.prototype.evictExpired = function () {
+  return expire(STATE.get(this));
+};
+
+/**
+ * @description
+ * Pins the item at the chronological position (the current one by default) as a checkpoint.
+ * Pinned items are kept outside of the buffer, so they can be restored even after they
+ * have been overwritten or discarded. Returns the id of the checkpoint, which is the id
+ * of the item. Throws if maxPins items are already pinned.
+ *
+ * @param {number} [position] - Chronological position of the item
+ */
+CircularHistory.prototype.pin = function (position = this.position) {
+  assertInteger(position, "Position");
+  var self = STATE.get(this);
+
+  if (position < 0 || position >= getSize(self)) {
+    throw new Error(`There is no item at position ${position} to pin.`);
+  }
+
+  var pointer = getNavigationRange(self).oldest + position;
+  var meta = self.slots.getMeta(makeIndex(pointer, self.capacity));
+  if (self.pins.has(meta.id)) return meta.id;
+
+  if (isPending(readItem(self, pointer))) {
+    throw new Error(`Item at position ${position} is pending. Resolve it before pinning.`);
+  }
+
+  if (self.pins.size >= self.maxPins) {
+    throw new Error(`Can't pin more than ${self.maxPins} items. Unpin one of them first.`);
+  }
+
+  self.pins.set(meta.id, { value: readItem(self, pointer), meta: meta });
+  if (self.autosave) self.autosave.pinsDirty = true;
+  scheduleSave(self);
+
+  return meta.id;
+};
+
+/**
+ * @description
+ * Removes the checkpoint. Returns false if it didn't exist.
+ *
+ * @param {number} id - Id of the checkpoint
+ */
+CircularHistory.prototype.unpin = function (id) {
+  var self = STATE.get(this);
+  if (!self.pins.delete(id)) return false;
+
+  if (self.autosave) self.autosave.pinsDirty = true;
+  scheduleSave(self);
+
+  return true;
+};
+
+/**
+ * @description
+ * Returns the checkpoints { id, value, meta, position } in chronological order.
+ * The position is -1 if the item is no longer available for navigation.
+ */
+CircularHistory.prototype.checkpoints = function () {
+  var self = STATE.get(this);
+
+  return [...self.pins.values()]
+    .sort((a, b) => a.meta.id - b.meta.id)
+    .map((pin) => ({
+      id: pin.meta.id,
+      value: exposeItem(self, pin.value),
+      meta: pin.meta,
+      position: findPosition(self, pin.meta.id),
+    }));
+};
+
+/**
+ * @description
+ * Moves to the checkpoint if it's still available for navigation. Otherwise commits
+ * its value as a new item with the same metadata and { restoredFrom: id }.
+ * Returns the id of the current item after restoring.
+ *
+ * @param {number} id - Id of the checkpoint
+ */
+CircularHistory.prototype.restoreCheckpoint = function (id) {
+  var self = STATE.get(this);
+  var pin = self.pins.get(id);
+
+  if (!pin) {
+    throw new Error(`Checkpoint "${stringify(id)}" does not exist.`);
+  }
+
+  if (findPosition(self, id) !== -1) {
+    this.goToId(id);
+  } else {
+    this.commit(pin.value, { ...pin.meta, timestamp: undefined, restoredFrom: id });
+  }
+
+  return readCurrentMeta(self).id;
+};
+
+/**
+ * @description
+ * Returns the slots in the order they are stored in the buffer.
+ * With withMeta, each occupied slot is returned as { value, meta, pinned, evicted },
+ * followed by the pinned items that are no longer stored in the buffer (evicted: true).
+ *
+ * @param {boolean} [discardHoles] - Omits empty slots
+ * @param {boolean} [withMeta] - Includes the metadata of each item
+ */
+CircularHistory.prototype.dump = function (discardHoles = false, withMeta = false) {
+  var self = STATE.get(this);
+  var result = exposeItems(self, readSlots(self));
+
+  if (withMeta) {
+    var stored = new Set();
+
+    result = Array.from(result, (slot, index) => {
+      if (isItemEmpty(slot)) return slot;
+      var meta = self.slots.getMeta(index);
+      stored.add(meta.id);
+      return { value: slot, meta: meta, pinned: self.pins.has(meta.id), evicted: false };
+    });
+
+    var evicted = [...self.pins.values()]
+      .filter((pin) => !stored.has(pin.meta.id))
+      .sort((a, b) => a.meta.id - b.meta.id)
+      .map((pin) => ({
+        value: exposeItem(self, pin.value),
+        meta: pin.meta,
+        pinned: true,
+        evicted: true,
+      }));
+
+    result = result.concat(evicted);
+  }
+
+  return discardHoles ? result.filter((slot) => !isItemEmpty(slot)) : result;
+};
+
+CircularHistory.prototype.getCurrentIndex = function () {
+  var self = STATE.get(this);
+  return makeIndex(self.pointer, self.capacity);
+};
+
+CircularHistory.prototype.isStartReached = function () {
+  var self = STATE.get(this);
+  return self.navigatedItemsCount === NAVIGATION_LOWER_BOUND || self.pointer === EMPTY_POINTER;
+};
+
+CircularHistory.prototype.isEndReached = function () {
+  var self = STATE.get(this);
+  return self.navigatedItemsCount === self.navigationUpperBound;
+};
+
+/**
+ * @description
+ * Iterates over the items available for navigation in chronological order,
+ * from the oldest one to the newest one, regardless of where they are stored in the buffer.
+ */
+CircularHistory.prototype[Symbol.iterator] = function* () {
+  var self = STATE.get(this);
+  yield* exposeItems(self, readRange(self, 0, getSize(self) - 1));
+};
+
+/**
+ * @description
+ * Iterates over [position, item] pairs in chronological order.
+ */
+CircularHistory.prototype.entries = function* () {
+  var position = 0;
+  for (var item of this) yield [position++, item];
+};
+
+/**
+ * @description
+ * Returns items from the oldest one up to the current one (inclusive) in chronological order.
+ * These are the items that can be reached by moving backward.
+ */
+CircularHistory.prototype.undoStack = function () {
+  var self = STATE.get(this);
+  return exposeItems(self, readRange(self, 0, getPosition(self)));
+};
+
+/**
+ * @description
+ * Returns items ahead of the current one in chronological order.
+ * These are the items that can be reached by moving forward.
+ */
+CircularHistory.prototype.redoStack = function () {
+  var self = STATE.get(this);
+  return exposeItems(self, readRange(self, getPosition(self) + 1, getSize(self) - 1));
+};
+
+Object.defineProperties(CircularHistory.prototype, {
+  /**
+   * @description
+   * Amount of items available for navigation.
+   */
+  size: {
+    get() {
+      return getSize(STATE.get(this));
+    },
+  },
+
+  /**
+   * @description
+   * Alias of size.
+   */
+  length: {
+    get() {
+      return getSize(STATE.get(this));
+    },
+  },
+
+  /**
+   * @description
+   * Chronological position of the current item, where 0 is the oldest item
+   * available for navigation and -1 is the empty state.
+   */
+  position: {
+    get() {
+      return getPosition(STATE.get(this));
+    },
+  },
+
+  /**
+   * @description
+   * Total size of the items available for navigation in bytes, as measured by the sizeOf
+   * option. Without the maxBytes and sizeOf options it's estimated on every access.
+   */
+  bytes: {
+    get() {
+      var self = STATE.get(this);
+      if (self.budget) return self.bytes;
+      return readRange(self, 0, getSize(self) - 1).reduce(
+        (total, item) => total + (isPending(item) ? 0 : estimateSize(item)),
+        0,
+      );
+    },
+  },
+});
+
+/**
+ * @description
+ * Subscribes the listener to all events. Returns a function that unsubscribes it.
+ *
+ * @param {Function} listener - Called with an event object that has a type property
+ */
+CircularHistory.prototype.subscribe = function (listener) {
+  return addListener(STATE.get(this), ANY_EVENT, listener);
+};
+
+/**
+ * @description
+ * Subscribes the listener to a single event type. Returns a function that unsubscribes it.
+ *
+ * @param {string} event - One of the EVENTS, like "commit" or "move"
+ * @param {Function} listener - Called with an event object
+ */
+CircularHistory.prototype.on = function (event, listener) {
+  if (!EVENTS.includes(event)) {
+    throw new Error(`Unknown event "${event}". Expected one of: ${EVENTS.join(", ")}.`);
+  }
+
+  return addListener(STATE.get(this), event, listener);
+};
+
+/**
+ * @description
+ * Adds a guard that is called before every move (moveBackward, moveForward, go, goTo and so on)
+ * with { direction, steps, from, to, value }, where from and to are the positions and value is
+ * the item to move to. Returning false cancels the move. Guards that return a promise are only
+ * supported by moveBackwardAsync and moveForwardAsync, other methods throw in that case.
+ * Returns a function that removes the guard.
+ *
+ * @param {Function} guard - Returns false (or a promise of false) to cancel the move
+ */
+CircularHistory.prototype.beforeMove = function (guard) {
+  return addGuard(STATE.get(this), "beforeMove", guard);
+};
+
+/**
+ * @description
+ * Adds a guard that is called before every commit with { value, meta }. Returning false
+ * cancels the commit. Guards that return a promise are only supported by commitAsync.
+ * Returns a function that removes the guard.
+ *
+ * @param {Function} guard - Returns false (or a promise of false) to cancel the commit
+ */
+CircularHistory.prototype.beforeCommit = function (guard) {
+  return addGuard(STATE.get(this), "beforeCommit", guard);
+};
+
+/**
+ * @description
+ * Saves the pending changes right away instead of waiting for the autosave throttle.
+ * Returns a promise that resolves once they have been written, or rejects with
+ * the error of the storage adapter (like an exceeded quota).
+ */
+CircularHistory.prototype.save = function () {
+  var self = STATE.get(this);
+  var persist = self.autosave;
+
+  if (!persist) {
+    throw new Error(`Autosave is not enabled. Pass the autosave option to the constructor.`);
+  }
+
+  clearTimeout(persist.timer);
+  persist.timer = null;
+  return flush(self);
+};
+
+/**
+ * @description
+ * Returns a versioned snapshot of the whole state which can be passed to
+ * JSON.stringify and later restored with CircularHistory.fromJSON.
+ * Only occupied slots are stored, together with their buffer index.
+ * JSON.stringify calls this method with a key argument, so the codec
+ * is only used when it's an object with encode and decode functions.
+ *
+ * @param {{ encode: Function, decode: Function }} [codec] - Overrides the default codec of the data type
+ */
+CircularHistory.prototype.toJSON = function (codec) {
+  var self = STATE.get(this);
+  var encode = resolveCodec(codec, self.dataType).encode;
+  var items = [];
+  var metas = [];
+  assertSettled(self);
+
+  readSlots(self).forEach((slot, index) => {
+    if (!isSettled(slot)) return;
+    items.push([index, encode(slot)]);
+    metas.push([index, self.slots.getMeta(index)]);
+  });
+
+  return {
+    version: SERIALIZATION_VERSION,
+    capacity: self.capacity,
+    dataType: typeof self.dataType === "string" ? self.dataType : self.type.name,
+    pointer: self.pointer,
+    navigatedItemsCount: self.navigatedItemsCount,
+    navigationUpperBound: self.navigationUpperBound,
+    items: items,
+    metas: metas,
+    nextId: self.nextId,
+    pins: [...self.pins.values()].map((pin) => [encode(pin.value), pin.meta]),
+  };
+};
+
+/**
+ * @description
+ * Creates an instance from the output of toJSON (either as an object or as a JSON string).
+ * Throws if the serialized state is malformed or contains values of a wrong data type.
+ *
+ * Instances created with a type descriptor or a validator function are serialized with
+ * the name of the descriptor, so the data type has to be passed again to restore them.
+ *
+ * @param {object|string} json - Serialized state
+ * @param {{ encode: Function, decode: Function }} [codec] - Overrides the default codec of the data type
+ * @param {string|object|Function} [dataType] - Overrides the serialized data type
+ * @param {object} [options] - Options passed to the constructor
+ */
+CircularHistory.fromJSON = function (json, codec, dataType, options) {
+  var data = typeof json === "string" ? JSON.parse(json) : json;
+
+  if (typeof data !== "object" || data === null) {
+    throw new Error(`Invalid serialized state. Expected an object, got "${data}".`);
+  }
+
+  if (data.version !== SERIALIZATION_VERSION) {
+    throw new Error(`Unsupported serialization version "${data.version}".`);
+  }
+
+  var history = new CircularHistory(data.capacity, dataType ?? data.dataType, options);
+  var self = STATE.get(history);
+  var slots = new Array(data.capacity);
+  var maxNavigationBound = data.capacity - 1;
+
+  if (!isInteger(data.pointer, EMPTY_POINTER)) {
+    throw new Error(`Invalid serialized state. Pointer must be an integer >= -1.`);
+  }
+
+  if (
+    !isInteger(data.navigatedItemsCount, NAVIGATION_LOWER_BOUND) ||
+    !isInteger(data.navigationUpperBound, data.navigatedItemsCount) ||
+    data.navigationUpperBound > maxNavigationBound
+  ) {
+    throw new Error(
+      `Invalid serialized state. Navigation bounds must satisfy 0 <= navigatedItemsCount <= navigationUpperBound < capacity.`,
+    );
+  }
+
+  if (!Array.isArray(data.items)) {
+    throw new Error(`Invalid serialized state. Items must be an array.`);
+  }
+
+  var decode = resolveCodec(codec, self.dataType).decode;
+
+  data.items.forEach((item) => {
+    var index = Array.isArray(item) ? item[0] : undefined;
+
+    if (!isInteger(index, 0) || index >= self.capacity || !isItemEmpty(slots[index])) {
+      throw new Error(`Invalid serialized state. Item index "${index}" is invalid or duplicated.`);
+    }
+
+    var value = decode(item[1]);
+    var error = getCommitError(value, self.type);
+
+    if (error !== undefined) {
+      throw new Error(
+        `Invalid serialized state. Item at index ${index} is invalid. Expected "${self.type.name}", ${error}.`,
+      );
+    }
+
+    slots[index] = self.snapshot.store(value);
+  });
+
+  var metas = new Array(data.capacity);
+
+  if (data.metas !== undefined && !Array.isArray(data.metas)) {
+    throw new Error(`Invalid serialized state. Metas must be an array.`);
+  }
+
+  (data.metas ?? []).forEach((item) => {
+    var index = Array.isArray(item) ? item[0] : undefined;
+    var meta = Array.isArray(item) ? item[1] : undefined;
+
+    if (isItemEmpty(slots[index]) || metas[index] !== undefined) {
+      throw new Error(`Invalid serialized state. Meta index "${index}" is invalid or duplicated.`);
+    }
+
+    if (typeof meta !== "object" || meta === null || !isInteger(meta.id, 0)) {
+      throw new Error(`Invalid serialized state. Meta at index ${index} must have an integer id.`);
+    }
+
+    metas[index] = Object.freeze({ ...meta });
+    self.nextId = Math.max(self.nextId, meta.id + 1);
+  });
+
+  if (data.pins !== undefined && !Array.isArray(data.pins)) {
+    throw new Error(`Invalid serialized state. Pins must be an array.`);
+  }
+
+  if (data.pins?.length > self.maxPins) {
+    throw new Error(`Invalid serialized state. There are more than ${self.maxPins} pins.`);
+  }
+
+  (data.pins ?? []).forEach((item) => {
+    var meta = Array.isArray(item) ? item[1] : undefined;
+
+    if (typeof meta !== "object" || meta === null || !isInteger(meta.id, 0)) {
+      throw new Error(`Invalid serialized state. Each pin must have metadata with an integer id.`);
+    }
+
+    var value = decode(item[0]);
+    var error = getCommitError(value, self.type);
+
+    if (error !== undefined) {
+      throw new Error(
+        `Invalid serialized state. Pin "${meta.id}" is invalid. Expected "${self.type.name}", ${error}.`,
+      );
+    }
+
+    self.pins.set(meta.id, { value: self.snapshot.store(value), meta: Object.freeze({ ...meta }) });
+    self.nextId = Math.max(self.nextId, meta.id + 1);
+  });
+
+  if (isInteger(data.nextId, self.nextId)) self.nextId = data.nextId;
+
+  /**
+   * @description
+   *
+   * Items serialized without metadata get new ids.
+   */
+  slots.forEach((slot, index) => {
+    if (metas[index] === undefined) metas[index] = createMeta(self, {});
+  });
+
+  self.pointer = data.pointer;
+  self.navigatedItemsCount = data.navigatedItemsCount;
+  self.navigationUpperBound = data.navigationUpperBound;
+  fillSlots(self, slots, metas);
+
+  var range = getNavigationRange(self);
+
+  for (var pointer = range ? range.oldest : 0; range && pointer <= range.newest; pointer++) {
+    if (isItemEmpty(slots[makeIndex(pointer, self.capacity)])) {
+      throw new Error(`Invalid serialized state. Items within the navigation range are missing.`);
+    }
+  }
+
+  writeSlots(self, slots, metas);
+  enforceBudget(self);
+
+  return history;
+};
+
+/**
+ * @description
+ * Loads the state saved with the autosave option and creates an equivalent instance,
+ * including the current position, metadata and pins. Resolves with null if nothing
+ * has been saved under the key. Rejects if the stored state is missing parts or is corrupted.
+ *
+ * If the options contain autosave with the same adapter and key, the instance
+ * continues saving only the changes made after restoring.
+ *
+ * @param {object} adapter - Storage adapter { load, save, remove }
+ * @param {string} key - Key passed to the autosave option
+ * @param {{ encode: Function, decode: Function }} [codec] - Overrides the default codec of the data type
+ * @param {string|object|Function} [dataType] - Overrides the stored data type
+ * @param {object} [options] - Options passed to the constructor
+ */
+CircularHistory.restore = async function (adapter, key, codec, dataType, options) {
+  var header = await adapter.load(key);
+  if (header === undefined) return null;
+
+  if (typeof header !== "object" || header === null || !Array.isArray(header.indices)) {
+    throw new Error(`Stored value "${key}" is corrupted. Expected a header with the indices.`);
+  }
+
+  var items = [];
+  var metas = [];
+
+  for (var index of header.indices) {
+    var slotKey = getSlotKey(key, index);
+    var slot = await adapter.load(slotKey);
+
+    if (!Array.isArray(slot) || slot.length !== 2) {
+      throw new Error(`Stored value "${slotKey}" is corrupted. Expected an [item, meta] pair.`);
+    }
+
+    items.push([index, slot[0]]);
+    metas.push([index, slot[1]]);
+  }
+
+  var pins = await adapter.load(getPinsKey(key));
+
+  var history = CircularHistory.fromJSON(
+    { ...header, items: items, metas: metas, pins: pins ?? [] },
+    codec,
+    dataType,
+    options,
+  );
+
+  var self = STATE.get(history);
+  var persist = self.autosave;
+
+  if (persist && persist.adapter === adapter && persist.key === key) {
+    persist.stored = new Set(header.indices);
+    persist.dirty = new Set(header.indices.filter((index) => !self.slots.has(index)));
+    persist.dirtyAll = false;
+    persist.pinsDirty = pins === undefined;
+  }
+
+  return history;
+};
+
+/**
+ * @description
+ * Replaces the state of the instance with the output of toJSON, keeping its options
+ * and listeners. It's used by HistorySync to bring a peer up to date and is not
+ * exported from the package.
+ *
+ * @param {CircularHistory} history - Instance to update
+ * @param {object} json - Serialized state
+ * @param {{ encode: Function, decode: Function }} [codec] - Codec the state has been serialized with
+ */
+var loadState = (history, json, codec) => {
+  var self = STATE.get(history);
+  var options = { maxPins: self.maxPins };
+  var loaded = STATE.get(CircularHistory.fromJSON(json, codec, self.dataType, options));
+  var store = (item) => (isItemEmpty(item) ? item : self.snapshot.store(item));
+
+  self.capacity = loaded.capacity;
+  self.pointer = loaded.pointer;
+  self.navigatedItemsCount = loaded.navigatedItemsCount;
+  self.navigationUpperBound = loaded.navigationUpperBound;
+  self.nextId = loaded.nextId;
+  self.lastCommit = null;
+  self.batch = null;
+  self.pins = new Map();
+
+  loaded.pins.forEach((pin, id) => {
+    self.pins.set(id, { value: store(pin.value), meta: pin.meta });
+  });
+
+  writeSlots(self, readSlots(loaded).map(store), readSlotMetas(loaded));
+  enforceBudget(self);
+
+  if (self.autosave) self.autosave.pinsDirty = true;
+  scheduleSave(self);
+};
+
+CircularHistory.FLAGS = FLAGS;
+CircularHistory.CODECS = CODECS;
+CircularHistory.DELTAS = DELTAS;
+CircularHistory.EQUALITY = EQUALITY;
+CircularHistory.types = types;
+CircularHistory.adapters = adapters;
+
+export {
+  CircularHistory,
+  allowsMove,
+  assertCommit,
+  canMoveBackward,
+  canMoveForward,
+  emitError,
+  loadState,
+  withoutGuards,
+};
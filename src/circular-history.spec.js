@@ -314,6 +314,23 @@ describe("CircularHistory", () => {
     expect(history.isEndReached()).toBe(true);
   });
 
+  test("should keep reporting the start at the first item and the end at the empty state", () => {
+    var history = new CircularHistory(2, "number");
+    history.commit(1);
+    history.commit(2);
+    history.moveBackward();
+
+    expect(history.current()).toBe(1);
+    expect(history.isStartReached()).toBe(true);
+
+    var single = new CircularHistory(3, "number");
+    single.commit(1);
+    single.moveBackward();
+
+    expect(single.current()).toBe(CircularHistory.FLAGS.empty);
+    expect(single.isEndReached()).toBe(true);
+  });
+
   test("should return the last available item when capacity is not reached, the next item is empty and moving forward", () => {
     var history = new CircularHistory(3, "number");
 
@@ -512,3 +529,2255 @@ describe("CircularHistory", () => {
     expect(history.current()).toBe(2);
   });
 });
+
+describe("CircularHistory serialization", () => {
+  test("should round-trip the state after wrapping and moving backward", () => {
+    var history = new CircularHistory(3, "number");
+    history.commit(1);
+    history.commit(2);
+    history.commit(3);
+    history.commit(4);
+    history.moveBackward();
+
+    var restored = CircularHistory.fromJSON(JSON.stringify(history));
+
+    expect(restored.dump()).toEqual(history.dump());
+    expect(restored.current()).toBe(3);
+    expect(restored.getCurrentIndex()).toBe(history.getCurrentIndex());
+
+    restored.moveBackward();
+    expect(restored.current()).toBe(2);
+    restored.moveBackward();
+    expect(restored.current()).toBe(2);
+    expect(restored.isStartReached()).toBe(true);
+
+    restored.moveForward();
+    restored.moveForward();
+    expect(restored.current()).toBe(4);
+    expect(restored.isEndReached()).toBe(true);
+  });
+
+  test("should round-trip the empty state and keep holes", () => {
+    var history = new CircularHistory(4, "string");
+    history.commit("a");
+    history.moveBackward();
+
+    var restored = CircularHistory.fromJSON(history.toJSON());
+    expect(restored.current()).toBe(CircularHistory.FLAGS.empty);
+    expect(restored.dump()).toEqual(["a", undefined, undefined, undefined]);
+
+    restored.moveForward();
+    expect(restored.current()).toBe("a");
+  });
+
+  test("should encode bigint, symbol and non-finite numbers with default codecs", () => {
+    var bigints = new CircularHistory(2, "bigint");
+    bigints.commit(10n ** 30n);
+    var json = JSON.stringify(bigints);
+    expect(CircularHistory.fromJSON(json).current()).toBe(10n ** 30n);
+
+    var symbols = new CircularHistory(2, "symbol");
+    symbols.commit(Symbol.for("tool"));
+    expect(CircularHistory.fromJSON(JSON.stringify(symbols)).current()).toBe(Symbol.for("tool"));
+
+    var numbers = new CircularHistory(2, "number");
+    numbers.commit(NaN);
+    numbers.commit(-Infinity);
+    expect(CircularHistory.fromJSON(JSON.stringify(numbers)).dump()).toEqual([NaN, -Infinity]);
+  });
+
+  test("should use a custom codec", () => {
+    var codec = {
+      encode: (value) => value.toISOString(),
+      decode: (value) => new Date(value),
+    };
+
+    var history = new CircularHistory(2, "object");
+    history.commit(new Date(0));
+
+    var snapshot = history.toJSON(codec);
+    expect(snapshot.items).toEqual([[0, "1970-01-01T00:00:00.000Z"]]);
+    expect(CircularHistory.fromJSON(snapshot, codec).current()).toEqual(new Date(0));
+  });
+
+  test("should throw on malformed serialized state", () => {
+    var valid = new CircularHistory(2, "number");
+    valid.commit(1);
+    var snapshot = valid.toJSON();
+
+    expect(() => CircularHistory.fromJSON(null)).toThrow();
+    expect(() => CircularHistory.fromJSON({ ...snapshot, version: 99 })).toThrow();
+    expect(() => CircularHistory.fromJSON({ ...snapshot, capacity: 0 })).toThrow();
+    expect(() => CircularHistory.fromJSON({ ...snapshot, dataType: "function" })).toThrow();
+    expect(() => CircularHistory.fromJSON({ ...snapshot, pointer: -2 })).toThrow();
+    expect(() => CircularHistory.fromJSON({ ...snapshot, navigationUpperBound: 2 })).toThrow();
+    expect(() => CircularHistory.fromJSON({ ...snapshot, navigatedItemsCount: 2 })).toThrow();
+    expect(() => CircularHistory.fromJSON({ ...snapshot, items: [[5, 1]] })).toThrow();
+    expect(() => CircularHistory.fromJSON({ ...snapshot, items: [[0, true]] })).toThrow();
+    expect(() => CircularHistory.fromJSON({ ...snapshot, items: [] })).toThrow();
+    expect(() =>
+      CircularHistory.fromJSON({
+        ...snapshot,
+        items: [
+          [0, 1],
+          [0, 2],
+        ],
+      }),
+    ).toThrow();
+  });
+});
+
+describe("CircularHistory events", () => {
+  test("should report whether the next moves would change the current item", () => {
+    var history = new CircularHistory(2, "number");
+    var moves = [];
+    history.on("move", (event) => moves.push([event.value, event.startReached, event.endReached]));
+
+    history.commit(1);
+    history.commit(2);
+    history.moveBackward();
+    history.moveBackward();
+    history.moveForward();
+
+    expect(moves).toEqual([
+      [1, false, false],
+      [CircularHistory.FLAGS.empty, true, false],
+      [1, false, false],
+    ]);
+  });
+
+  test("should emit commit events with overwritten and discarded items", () => {
+    var history = new CircularHistory(3, "number");
+    var events = [];
+    history.subscribe((event) => events.push(event));
+
+    history.commit(1);
+    history.commit(2);
+    history.commit(3);
+    history.commit(4);
+
+    expect(events.map((event) => event.type)).toEqual([
+      "commit",
+      "commit",
+      "commit",
+      "overwrite",
+      "commit",
+    ]);
+    expect(events[3]).toEqual({ type: "overwrite", value: 1 });
+    expect(events[4]).toEqual({
+      type: "commit",
+      value: 4,
+      overwritten: 1,
+      discarded: [],
+      evicted: [1],
+    });
+
+    history.moveBackward();
+    history.moveBackward();
+    events.length = 0;
+    history.commit(5);
+
+    expect(events).toEqual([
+      {
+        type: "commit",
+        value: 5,
+        overwritten: CircularHistory.FLAGS.empty,
+        discarded: [3, 4],
+        evicted: [],
+      },
+    ]);
+  });
+
+  test("should report items discarded from the empty state without overwriting", () => {
+    var history = new CircularHistory(2, "number");
+    var events = [];
+    history.on("commit", (event) => events.push(event));
+
+    history.commit(1);
+    history.commit(2);
+    history.moveBackward();
+    history.moveBackward();
+    history.commit(3);
+
+    expect(events[2]).toEqual({
+      type: "commit",
+      value: 3,
+      overwritten: CircularHistory.FLAGS.empty,
+      discarded: [1, 2],
+      evicted: [],
+    });
+  });
+
+  test("should emit move events only when the pointer changes", () => {
+    var history = new CircularHistory(3, "number");
+    var events = [];
+    history.on("move", (event) => events.push(event));
+
+    history.moveBackward();
+    history.commit(1);
+    history.moveForward();
+    history.moveBackward();
+    history.moveBackward();
+    history.moveForward();
+
+    expect(events).toEqual([
+      {
+        type: "move",
+        direction: "backward",
+        steps: 1,
+        value: CircularHistory.FLAGS.empty,
+        startReached: true,
+        endReached: false,
+      },
+      {
+        type: "move",
+        direction: "forward",
+        steps: 1,
+        value: 1,
+        startReached: false,
+        endReached: true,
+      },
+    ]);
+  });
+
+  test("should emit clear event with the cleared items", () => {
+    var history = new CircularHistory(3, "number");
+    var events = [];
+    history.on("clear", (event) => events.push(event));
+
+    history.commit(1);
+    history.commit(2);
+    history.moveBackward();
+    history.clear();
+
+    expect(events).toEqual([{ type: "clear", cleared: [1, 2] }]);
+  });
+
+  test("should unsubscribe listeners", () => {
+    var history = new CircularHistory(3, "number");
+    var events = [];
+    var unsubscribe = history.subscribe((event) => events.push(event));
+    var unsubscribeCommit = history.on("commit", (event) => events.push(event));
+
+    unsubscribe();
+    unsubscribeCommit();
+    history.commit(1);
+
+    expect(events).toEqual([]);
+  });
+
+  test("should throw on unknown events and invalid listeners", () => {
+    var history = new CircularHistory(3, "number");
+    expect(() => history.on("unknown", () => {})).toThrow();
+    expect(() => history.subscribe(null)).toThrow();
+  });
+});
+
+describe("CircularHistory chronological views", () => {
+  test("should iterate in chronological order after wrapping", () => {
+    var history = new CircularHistory(3, "number");
+    history.commit(1);
+    history.commit(2);
+    history.commit(3);
+    history.commit(4);
+    history.commit(5);
+
+    expect(history.dump()).toEqual([4, 5, 3]);
+    expect([...history]).toEqual([3, 4, 5]);
+    expect([...history.entries()]).toEqual([
+      [0, 3],
+      [1, 4],
+      [2, 5],
+    ]);
+  });
+
+  test("should not include discarded items", () => {
+    var history = new CircularHistory(5, "number");
+    history.commit(1);
+    history.commit(2);
+    history.commit(3);
+    history.moveBackward();
+    history.moveBackward();
+    history.commit(4);
+
+    expect(history.dump(true)).toEqual([1, 4, 3]);
+    expect([...history]).toEqual([1, 4]);
+    expect(history.size).toBe(2);
+  });
+
+  test("should derive size, length and position", () => {
+    var history = new CircularHistory(3, "number");
+    expect(history.size).toBe(0);
+    expect(history.length).toBe(0);
+    expect(history.position).toBe(-1);
+
+    history.commit(1);
+    history.commit(2);
+    expect(history.size).toBe(2);
+    expect(history.position).toBe(1);
+
+    history.moveBackward();
+    history.moveBackward();
+    expect(history.size).toBe(2);
+    expect(history.position).toBe(-1);
+
+    history.moveForward();
+    history.commit(3);
+    history.commit(4);
+    history.commit(5);
+    expect([...history]).toEqual([3, 4, 5]);
+    expect(history.length).toBe(3);
+    expect(history.position).toBe(2);
+    expect(history.getCurrentIndex()).toBe(0);
+
+    history.moveBackward();
+    history.moveBackward();
+    expect(history.position).toBe(0);
+  });
+
+  test("should return undo and redo stacks", () => {
+    var history = new CircularHistory(3, "number");
+    expect(history.undoStack()).toEqual([]);
+    expect(history.redoStack()).toEqual([]);
+
+    history.commit(1);
+    history.commit(2);
+    history.commit(3);
+    history.commit(4);
+    history.moveBackward();
+
+    expect(history.undoStack()).toEqual([2, 3]);
+    expect(history.redoStack()).toEqual([4]);
+
+    var fresh = new CircularHistory(3, "number");
+    fresh.commit(1);
+    fresh.commit(2);
+    fresh.moveBackward();
+    fresh.moveBackward();
+
+    expect(fresh.undoStack()).toEqual([]);
+    expect(fresh.redoStack()).toEqual([1, 2]);
+  });
+});
+
+describe("CircularHistory multi-step navigation", () => {
+  test("should move by delta and return the amount of steps taken", () => {
+    var history = new CircularHistory(5, "number");
+    history.commit(1);
+    history.commit(2);
+    history.commit(3);
+
+    expect(history.go(-2)).toBe(2);
+    expect(history.current()).toBe(1);
+
+    expect(history.go(-5)).toBe(1);
+    expect(history.current()).toBe(CircularHistory.FLAGS.empty);
+
+    expect(history.go(10)).toBe(3);
+    expect(history.current()).toBe(3);
+
+    expect(history.go(0)).toBe(0);
+    expect(() => history.go(1.5)).toThrow();
+  });
+
+  test("should not move to the empty state after wrapping", () => {
+    var history = new CircularHistory(3, "number");
+    history.commit(1);
+    history.commit(2);
+    history.commit(3);
+    history.commit(4);
+
+    expect(history.goToStart()).toBe(2);
+    expect(history.current()).toBe(2);
+    expect(history.goToEnd()).toBe(2);
+    expect(history.current()).toBe(4);
+  });
+
+  test("should go to a chronological position", () => {
+    var history = new CircularHistory(3, "number");
+    history.commit(1);
+    history.commit(2);
+    history.commit(3);
+    history.commit(4);
+    history.commit(5);
+
+    expect(history.goTo(0)).toBe(2);
+    expect(history.current()).toBe(3);
+    expect(history.goTo(1)).toBe(1);
+    expect(history.current()).toBe(4);
+    expect(history.goTo(-1)).toBe(1);
+    expect(history.position).toBe(0);
+    expect(() => history.goTo("1")).toThrow();
+  });
+
+  test("should emit a single move event for multi-step navigation", () => {
+    var history = new CircularHistory(5, "number");
+    var events = [];
+    history.commit(1);
+    history.commit(2);
+    history.commit(3);
+    history.on("move", (event) => events.push(event));
+
+    history.goToStart();
+    history.goToStart();
+
+    expect(events).toEqual([
+      {
+        type: "move",
+        direction: "backward",
+        steps: 3,
+        value: CircularHistory.FLAGS.empty,
+        startReached: true,
+        endReached: false,
+      },
+    ]);
+  });
+
+  test("should peek neighbours without moving", () => {
+    var history = new CircularHistory(3, "number");
+    expect(history.peek(0)).toBe(CircularHistory.FLAGS.empty);
+
+    history.commit(1);
+    history.commit(2);
+    history.commit(3);
+    history.moveBackward();
+
+    expect(history.peek(-1)).toBe(1);
+    expect(history.peek(0)).toBe(2);
+    expect(history.peek(1)).toBe(3);
+    expect(history.peek(2)).toBe(CircularHistory.FLAGS.empty);
+    expect(history.peek(-2)).toBe(CircularHistory.FLAGS.empty);
+    expect(history.current()).toBe(2);
+
+    history.goToStart();
+    expect(history.peek(1)).toBe(1);
+
+    history.goToEnd();
+    history.commit(4);
+    history.goToStart();
+    expect(history.peek(-1)).toBe(CircularHistory.FLAGS.empty);
+    expect(history.peek(2)).toBe(4);
+  });
+});
+
+describe("CircularHistory capacity resizing", () => {
+  test("should keep all items when growing", () => {
+    var history = new CircularHistory(3, "number");
+    history.commit(1);
+    history.commit(2);
+    history.commit(3);
+    history.commit(4);
+
+    expect(history.setCapacity(5)).toEqual([]);
+    expect([...history]).toEqual([2, 3, 4]);
+    expect(history.current()).toBe(4);
+
+    history.commit(5);
+    history.commit(6);
+    expect([...history]).toEqual([2, 3, 4, 5, 6]);
+
+    history.goToStart();
+    expect(history.current()).toBe(2);
+  });
+
+  test("should keep the empty state reachable when nothing was evicted", () => {
+    var history = new CircularHistory(3, "number");
+    history.commit(1);
+    history.commit(2);
+    history.setCapacity(4);
+
+    expect(history.goToStart()).toBe(2);
+    expect(history.current()).toBe(CircularHistory.FLAGS.empty);
+  });
+
+  test("should evict the oldest items first when shrinking", () => {
+    var history = new CircularHistory(5, "number");
+    history.commit(1);
+    history.commit(2);
+    history.commit(3);
+    history.commit(4);
+    history.commit(5);
+    history.moveBackward();
+
+    expect(history.setCapacity(3)).toEqual([1, 2]);
+    expect([...history]).toEqual([3, 4, 5]);
+    expect(history.current()).toBe(4);
+    expect(history.dump()).toHaveLength(3);
+
+    expect(history.goToStart()).toBe(1);
+    expect(history.current()).toBe(3);
+    expect(history.isStartReached()).toBe(true);
+  });
+
+  test("should keep the current item and drop redo items from the newest side", () => {
+    var history = new CircularHistory(5, "number");
+    history.commit(1);
+    history.commit(2);
+    history.commit(3);
+    history.commit(4);
+    history.goTo(1);
+
+    expect(history.setCapacity(2)).toEqual([1, 4]);
+    expect([...history]).toEqual([2, 3]);
+    expect(history.current()).toBe(2);
+
+    history.commit(5);
+    history.commit(6);
+    expect([...history]).toEqual([5, 6]);
+  });
+
+  test("should keep the nearest redo items when at the empty state", () => {
+    var history = new CircularHistory(4, "number");
+    history.commit(1);
+    history.commit(2);
+    history.commit(3);
+    history.goToStart();
+
+    expect(history.setCapacity(1)).toEqual([2, 3]);
+    expect(history.current()).toBe(CircularHistory.FLAGS.empty);
+    expect([...history]).toEqual([1]);
+  });
+
+  test("should emit resize event and validate capacity", () => {
+    var history = new CircularHistory(3, "number");
+    var events = [];
+    history.on("resize", (event) => events.push(event));
+    history.commit(1);
+    history.commit(2);
+    history.setCapacity(1);
+
+    expect(events).toEqual([{ type: "resize", capacity: 1, evicted: [1] }]);
+    expect(() => history.setCapacity(0)).toThrow();
+    expect(() => history.setCapacity(2.5)).toThrow();
+  });
+});
+
+describe("CircularHistory custom data types", () => {
+  class Layer {}
+
+  test("should commit values accepted by a type descriptor", () => {
+    var history = new CircularHistory(3, CircularHistory.types.instanceOf(Layer));
+    var layer = new Layer();
+    history.commit(layer);
+    expect(history.current()).toBe(layer);
+
+    expect(() => history.commit({})).toThrow(
+      'Type of [object Object] is invalid. Expected "instanceof Layer", got "Object".',
+    );
+  });
+
+  test("should commit values accepted by a validator function", () => {
+    var history = new CircularHistory(3, function isEven(value) {
+      return value % 2 === 0;
+    });
+
+    history.commit(2);
+    expect(() => history.commit(3)).toThrow('Expected "isEven", rejected by isEven.');
+    expect(() => history.commit(undefined)).toThrow();
+    expect(() => history.commit(() => 2)).toThrow();
+  });
+
+  test("should keep the error message for data type strings", () => {
+    var history = new CircularHistory(3, "number");
+    expect(() => history.commit("1")).toThrow(
+      'Type of 1 is invalid. Expected "number", got "string".',
+    );
+    expect(() => history.commit(Symbol("sym"))).toThrow(
+      'Type of Symbol(sym) is invalid. Expected "number", got "symbol".',
+    );
+  });
+
+  test("should serialize the descriptor name and restore with an explicit data type", () => {
+    var history = new CircularHistory(3, CircularHistory.types.array("number"));
+    history.commit([1, 2]);
+
+    var json = JSON.stringify(history);
+    expect(JSON.parse(json).dataType).toBe("array<number>");
+    expect(() => CircularHistory.fromJSON(json)).toThrow();
+
+    var restored = CircularHistory.fromJSON(json, undefined, CircularHistory.types.array("number"));
+    expect(restored.current()).toEqual([1, 2]);
+
+    expect(() =>
+      CircularHistory.fromJSON(
+        { ...JSON.parse(json), items: [[0, [1, "2"]]] },
+        undefined,
+        CircularHistory.types.array("number"),
+      ),
+    ).toThrow('item at index 1 got "string"');
+  });
+});
+
+describe("CircularHistory delta storage", () => {
+  var countingDelta = () => {
+    var stats = { diffs: 0, patches: 0 };
+
+    return {
+      stats: stats,
+      diff: (prev, next) => {
+        stats.diffs++;
+        return CircularHistory.DELTAS.text.diff(prev, next);
+      },
+      patch: (prev, delta) => {
+        stats.patches++;
+        return CircularHistory.DELTAS.text.patch(prev, delta);
+      },
+    };
+  };
+
+  test("should throw on invalid options", () => {
+    expect(() => new CircularHistory(3, "string", null)).toThrow();
+    expect(() => new CircularHistory(3, "string", { delta: { keyframeInterval: -1 } })).toThrow();
+  });
+
+  test("should store deltas between keyframes and restore items transparently", () => {
+    var delta = countingDelta();
+    var history = new CircularHistory(10, "string", {
+      delta: { keyframeInterval: 3, diff: delta.diff, patch: delta.patch },
+    });
+
+    ["a", "ab", "abc", "abcd", "abcde"].forEach((item) => history.commit(item));
+
+    expect(delta.stats.diffs).toBe(3);
+    expect(history.current()).toBe("abcde");
+    expect([...history]).toEqual(["a", "ab", "abc", "abcd", "abcde"]);
+    expect(history.dump(true)).toEqual(["a", "ab", "abc", "abcd", "abcde"]);
+
+    history.moveBackward();
+    history.moveBackward();
+    expect(history.current()).toBe("abc");
+    expect(history.peek(-2)).toBe("a");
+  });
+
+  test("should rebase the next item when the oldest one is overwritten", () => {
+    var history = new CircularHistory(3, "string", { delta: { keyframeInterval: 5 } });
+
+    ["a", "ab", "abc", "abcd", "abcde"].forEach((item) => history.commit(item));
+
+    expect(history.dump()).toEqual(["abcd", "abcde", "abc"]);
+    expect([...history]).toEqual(["abc", "abcd", "abcde"]);
+
+    history.goToStart();
+    expect(history.current()).toBe("abc");
+  });
+
+  test("should drop discarded items from the buffer", () => {
+    var history = new CircularHistory(5, "object", { delta: true });
+    history.commit({ value: 1 });
+    history.commit({ value: 2 });
+    history.commit({ value: 3 });
+    history.goTo(0);
+    history.commit({ value: 4 });
+
+    expect(history.dump(true)).toEqual([{ value: 1 }, { value: 4 }]);
+    expect(history.dump()).toStrictEqual([
+      { value: 1 },
+      { value: 4 },
+      undefined,
+      undefined,
+      undefined,
+    ]);
+    history.moveForward();
+    expect(history.current()).toEqual({ value: 4 });
+  });
+
+  test("should restore structural deltas without mutating committed objects", () => {
+    var history = new CircularHistory(5, "object", { delta: true });
+    var first = { layers: [{ id: 1, color: "red" }] };
+    var second = {
+      layers: [
+        { id: 1, color: "blue" },
+        { id: 2, color: "red" },
+      ],
+    };
+
+    history.commit(first);
+    history.commit(second);
+
+    expect(history.current()).toEqual(second);
+    history.moveBackward();
+    expect(history.current()).toEqual(first);
+    expect(first).toEqual({ layers: [{ id: 1, color: "red" }] });
+  });
+
+  test("should keep deltas consistent when resizing and serializing", () => {
+    var history = new CircularHistory(5, "string", { delta: { keyframeInterval: 2 } });
+    ["a", "ab", "abc", "abcd", "abcde"].forEach((item) => history.commit(item));
+    history.moveBackward();
+
+    expect(history.setCapacity(3)).toEqual(["a", "ab"]);
+    expect([...history]).toEqual(["abc", "abcd", "abcde"]);
+    expect(history.current()).toBe("abcd");
+
+    var restored = CircularHistory.fromJSON(JSON.stringify(history), undefined, undefined, {
+      delta: true,
+    });
+
+    expect([...restored]).toEqual(["abc", "abcd", "abcde"]);
+    expect(restored.current()).toBe("abcd");
+    restored.commit("abcdX");
+    expect([...restored]).toEqual(["abc", "abcd", "abcdX"]);
+  });
+});
+
+describe("CircularHistory memory budget", () => {
+  test("should evict the oldest items before the capacity is reached", () => {
+    var history = new CircularHistory(10, "string", { maxBytes: 12 });
+    history.commit("aa");
+    history.commit("bb");
+    history.commit("cc");
+
+    expect(history.bytes).toBe(12);
+    expect(history.isStartReached()).toBe(false);
+
+    history.commit("dd");
+
+    expect([...history]).toEqual(["bb", "cc", "dd"]);
+    expect(history.bytes).toBe(12);
+    expect(history.isStartReached()).toBe(false);
+
+    history.goToStart();
+    expect(history.current()).toBe("bb");
+    expect(history.isStartReached()).toBe(true);
+  });
+
+  test("should reject items larger than the whole budget", () => {
+    var history = new CircularHistory(10, "string", { maxBytes: 10 });
+    history.commit("a");
+
+    expect(() => history.commit("abcdef")).toThrowError(
+      "Item abcdef takes 12 bytes which exceeds the budget of 10 bytes.",
+    );
+    expect([...history]).toEqual(["a"]);
+    expect(history.bytes).toBe(2);
+  });
+
+  test("should stop counting discarded and overwritten items", () => {
+    var history = new CircularHistory(3, "string", { maxBytes: 100 });
+    ["a", "bb", "ccc"].forEach((item) => history.commit(item));
+    history.commit("d");
+
+    expect(history.bytes).toBe(12);
+
+    history.go(-2);
+    history.commit("e");
+
+    expect([...history]).toEqual(["bb", "e"]);
+    expect(history.bytes).toBe(6);
+
+    history.clear();
+    expect(history.bytes).toBe(0);
+  });
+
+  test("should use the custom size estimator and report evicted items", () => {
+    var history = new CircularHistory(5, "object", {
+      maxBytes: 3,
+      sizeOf: (value) => value.cost,
+    });
+    var events = [];
+    history.subscribe((event) => events.push(event));
+
+    history.commit({ cost: 1 });
+    history.commit({ cost: 1 });
+    history.commit({ cost: 3 });
+
+    expect(events.filter((event) => event.type === "overwrite")).toEqual([
+      { type: "overwrite", value: { cost: 1 } },
+      { type: "overwrite", value: { cost: 1 } },
+    ]);
+    expect(events[events.length - 1].evicted).toEqual([{ cost: 1 }, { cost: 1 }]);
+    expect(history.dump(true)).toEqual([{ cost: 3 }]);
+  });
+
+  test("should move the pointer to the oldest remaining item when it gets evicted", () => {
+    var history = new CircularHistory(5, "string", { maxBytes: 8 });
+    history.commit("a");
+    history.commit("b");
+    history.goToStart();
+
+    expect(history.position).toBe(-1);
+    expect(history.isStartReached()).toBe(true);
+
+    history.commit("abc");
+
+    expect([...history]).toEqual(["abc"]);
+    expect(history.current()).toBe("abc");
+  });
+
+  test("should keep delta storage consistent and apply the budget when restoring", () => {
+    var options = { maxBytes: 14, delta: { keyframeInterval: 5 } };
+    var history = new CircularHistory(5, "string", options);
+    ["a", "ab", "abc", "abcd"].forEach((item) => history.commit(item));
+
+    expect([...history]).toEqual(["abc", "abcd"]);
+
+    var restored = CircularHistory.fromJSON(JSON.stringify(history), undefined, undefined, {
+      maxBytes: 8,
+    });
+
+    expect([...restored]).toEqual(["abcd"]);
+    expect(restored.bytes).toBe(8);
+  });
+
+  test("should validate the budget options", () => {
+    expect(() => new CircularHistory(5, "string", { maxBytes: 0 })).toThrowError(
+      'maxBytes must be a positive number. Got "0".',
+    );
+    expect(() => new CircularHistory(5, "string", { sizeOf: 1 })).toThrowError(
+      'sizeOf must be a function. Got "number".',
+    );
+    expect(() => new CircularHistory(5, "string", { sizeOf: () => NaN }).commit("a")).toThrowError(
+      'sizeOf must return a non-negative number. Got "NaN".',
+    );
+  });
+});
+
+describe("CircularHistory metadata", () => {
+  test("should attach ids, timestamps and labels to the items", () => {
+    var history = new CircularHistory(3, "string");
+    var before = Date.now();
+
+    history.commit("a", { label: "Create layer" });
+    history.commit("b", { label: "Change color", timestamp: 42 });
+
+    expect(history.currentMeta()).toEqual({ id: 1, label: "Change color", timestamp: 42 });
+    expect(Object.isFrozen(history.currentMeta())).toBe(true);
+
+    history.moveBackward();
+    expect(history.currentMeta().label).toBe("Create layer");
+    expect(history.currentMeta().timestamp).toBeGreaterThanOrEqual(before);
+
+    history.moveBackward();
+    expect(history.currentMeta()).toBe(CircularHistory.FLAGS.empty);
+  });
+
+  test("should keep the metadata in sync with the items when wrapping and truncating", () => {
+    var history = new CircularHistory(3, "number");
+    [1, 2, 3, 4].forEach((item) => history.commit(item, { label: `#${item}` }));
+
+    expect(history.metadata().map((meta) => meta.label)).toEqual(["#2", "#3", "#4"]);
+
+    history.go(-2);
+    history.commit(5, { label: "#5" });
+
+    expect(history.metadata().map((meta) => meta.id)).toEqual([1, 4]);
+    expect(history.dump(true, true).map((entry) => [entry.value, entry.meta.label])).toEqual([
+      [4, "#4"],
+      [2, "#2"],
+      [5, "#5"],
+    ]);
+  });
+
+  test("should navigate by id", () => {
+    var history = new CircularHistory(3, "number");
+    [1, 2, 3, 4].forEach((item) => history.commit(item));
+
+    expect(history.positionOf(1)).toBe(0);
+    expect(history.goToId(1)).toBe(2);
+    expect(history.current()).toBe(2);
+    expect(history.positionOf(0)).toBe(-1);
+    expect(() => history.goToId(0)).toThrowError(
+      'Item with id "0" is not available for navigation.',
+    );
+  });
+
+  test("should keep ids unique after clearing, resizing and serializing", () => {
+    var history = new CircularHistory(3, "number");
+    [1, 2, 3].forEach((item) => history.commit(item, { label: `#${item}` }));
+    history.clear();
+    history.commit(4);
+
+    expect(history.currentMeta().id).toBe(3);
+
+    history.commit(5, { label: "#5" });
+    history.setCapacity(1);
+    expect(history.metadata()).toEqual([expect.objectContaining({ id: 4, label: "#5" })]);
+
+    var restored = CircularHistory.fromJSON(JSON.stringify(history));
+    expect(restored.currentMeta()).toEqual(history.currentMeta());
+
+    restored.commit(6);
+    expect(restored.currentMeta().id).toBe(5);
+  });
+
+  test("should assign new ids to items serialized without metadata", () => {
+    var restored = CircularHistory.fromJSON({
+      version: 1,
+      capacity: 2,
+      dataType: "number",
+      pointer: 0,
+      navigatedItemsCount: 1,
+      navigationUpperBound: 1,
+      items: [[0, 1]],
+    });
+
+    expect(restored.currentMeta().id).toBe(0);
+  });
+
+  test("should validate the metadata", () => {
+    var history = new CircularHistory(3, "number");
+
+    expect(() => history.commit(1, "label")).toThrowError('Meta must be an object. Got "label".');
+    expect(() => history.commit(1, { timestamp: "now" })).toThrowError(
+      'Meta timestamp must be a number. Got "now".',
+    );
+    expect(history.size).toBe(0);
+  });
+});
+
+describe("CircularHistory batches and coalescing", () => {
+  test("should collapse commits within a batch into a single item", () => {
+    var history = new CircularHistory(3, "number");
+    history.commit(1);
+
+    history.beginBatch();
+    history.commit(2, { label: "Drag" });
+    history.commit(3);
+    history.commit(4);
+    history.endBatch();
+
+    expect([...history]).toEqual([1, 4]);
+    expect(history.currentMeta()).toEqual(expect.objectContaining({ id: 1, label: "Drag" }));
+
+    history.commit(5);
+    expect([...history]).toEqual([1, 4, 5]);
+  });
+
+  test("should commit nested batches as a part of the outermost one", () => {
+    var history = new CircularHistory(3, "number");
+
+    history.batch(() => {
+      history.commit(1);
+      history.batch(() => history.commit(2));
+      history.commit(3);
+    });
+
+    expect([...history]).toEqual([3]);
+  });
+
+  test("should roll back an aborted batch", () => {
+    var history = new CircularHistory(2, "number");
+    var events = [];
+    [1, 2].forEach((item) => history.commit(item));
+    history.moveBackward();
+    history.on("rollback", (event) => events.push(event));
+
+    expect(() =>
+      history.batch(() => {
+        history.commit(3);
+        history.commit(4);
+        throw new Error("Aborted");
+      }),
+    ).toThrowError("Aborted");
+
+    expect([...history]).toEqual([1, 2]);
+    expect(history.current()).toBe(1);
+    expect(events).toEqual([{ type: "rollback", value: 1 }]);
+
+    history.beginBatch();
+    history.commit(5);
+    history.beginBatch();
+    history.commit(6);
+    history.abortBatch();
+
+    expect([...history]).toEqual([1, 5]);
+    history.endBatch();
+    expect(() => history.endBatch()).toThrowError("There is no batch in progress.");
+  });
+
+  test("should start a new item if the batch item is no longer the current one", () => {
+    var history = new CircularHistory(5, "number");
+
+    history.batch(() => {
+      history.commit(1);
+      history.commit(2);
+      history.moveBackward();
+      history.commit(3);
+    });
+
+    expect([...history]).toEqual([3]);
+    expect(history.size).toBe(1);
+    expect(history.currentMeta().id).toBe(1);
+  });
+
+  test("should coalesce commits with the same key", () => {
+    var history = new CircularHistory(5, "string");
+    var events = [];
+    history.on("replace", (event) => events.push(event));
+
+    history.commit("a", {}, { coalesceKey: "typing" });
+    history.commit("ab", {}, { coalesceKey: "typing" });
+    history.commit("b", {}, { coalesceKey: "color" });
+
+    expect([...history]).toEqual(["ab", "b"]);
+    expect(events).toEqual([{ type: "replace", value: "ab", previous: "a", evicted: [] }]);
+
+    history.moveBackward();
+    history.moveForward();
+    history.commit("c", {}, { coalesceKey: "color" });
+    expect([...history]).toEqual(["ab", "c"]);
+  });
+
+  test("should coalesce commits within the time window", () => {
+    var history = new CircularHistory(5, "string");
+
+    history.commit("a", { timestamp: 1000 }, { coalesceWindow: 500 });
+    history.commit("b", { timestamp: 1400 }, { coalesceWindow: 500 });
+    history.commit("c", { timestamp: 1800 }, { coalesceWindow: 500 });
+    history.commit("d", { timestamp: 2400 }, { coalesceWindow: 500 });
+
+    expect([...history]).toEqual(["c", "d"]);
+    expect(history.metadata().map((meta) => meta.timestamp)).toEqual([1800, 2400]);
+  });
+
+  test("should apply the memory budget to the replaced items", () => {
+    var history = new CircularHistory(5, "string", { maxBytes: 10, delta: true });
+    history.commit("aa");
+    history.commit("b", {}, { coalesceKey: "edit" });
+    history.commit("bbbb", {}, { coalesceKey: "edit" });
+
+    expect([...history]).toEqual(["bbbb"]);
+    expect(history.bytes).toBe(8);
+  });
+});
+
+describe("CircularHistory equality", () => {
+  test("should commit equal values unless the equals option is set", () => {
+    var history = new CircularHistory(3, "number");
+
+    expect(history.commit(1)).toBe(true);
+    expect(history.commit(1)).toBe(true);
+    expect(history.size).toBe(2);
+  });
+
+  test("should skip commits equal to the current item without truncating the redo range", () => {
+    var history = new CircularHistory(5, "object", { equals: "deep" });
+    history.commit({ x: 1 });
+    history.commit({ x: 2 });
+    history.moveBackward();
+
+    expect(history.commit({ x: 1 })).toBe(false);
+    expect([...history]).toEqual([{ x: 1 }, { x: 2 }]);
+    expect(history.redoStack()).toEqual([{ x: 2 }]);
+
+    expect(history.commit({ x: 3 })).toBe(true);
+    expect([...history]).toEqual([{ x: 1 }, { x: 3 }]);
+  });
+
+  test("should compare with the current item only", () => {
+    var history = new CircularHistory(5, "number", { equals: "strict" });
+    history.commit(1);
+    history.moveBackward();
+
+    expect(history.commit(1)).toBe(true);
+    expect(history.commit(2)).toBe(true);
+    expect(history.commit(1)).toBe(true);
+    expect([...history]).toEqual([1, 2, 1]);
+  });
+
+  test("should use the custom comparator and not emit events for skipped commits", () => {
+    var history = new CircularHistory(5, "string", {
+      equals: (current, next) => current.trim() === next.trim(),
+    });
+    var events = [];
+    history.subscribe((event) => events.push(event));
+
+    history.commit("a");
+    expect(history.commit(" a ")).toBe(false);
+    expect(events.length).toBe(1);
+  });
+
+  test("should skip cyclic and Map snapshots equal to the cloned current item", () => {
+    var history = new CircularHistory(5, "object", { equals: "deep", snapshot: "clone" });
+    var createDocument = () => {
+      var document = { layers: new Map([["a", { visible: true }]]), tags: new Set(["draft"]) };
+      document.root = document;
+      return document;
+    };
+
+    expect(history.commit(createDocument())).toBe(true);
+    expect(history.commit(createDocument())).toBe(false);
+    expect(history.size).toBe(1);
+  });
+});
+
+describe("CircularHistory snapshot policy", () => {
+  test("should store references by default", () => {
+    var history = new CircularHistory(3, "object");
+    var value = { x: 1 };
+    history.commit(value);
+    value.x = 2;
+
+    expect(history.current()).toBe(value);
+  });
+
+  test("should protect the items from mutations with the clone policy", () => {
+    var history = new CircularHistory(3, "object", { snapshot: "clone" });
+    var value = { x: 1 };
+    history.commit(value);
+    value.x = 2;
+
+    var current = history.current();
+    current.x = 3;
+
+    expect(history.current()).toEqual({ x: 1 });
+    expect([...history]).toEqual([{ x: 1 }]);
+    expect(history.dump(true)[0]).not.toBe(history.dump(true)[0]);
+    expect(() => history.commit({ fn() {} })).toThrowError(/^Can't clone/);
+    expect(history.size).toBe(1);
+  });
+
+  test("should freeze the committed objects with the freeze policy", () => {
+    var history = new CircularHistory(3, "object", { snapshot: "freeze", delta: true });
+    var value = { layers: [{ id: 1 }] };
+    history.commit(value);
+    history.commit({ layers: [{ id: 1 }, { id: 2 }] });
+
+    expect(Object.isFrozen(value.layers[0])).toBe(true);
+    expect(() => {
+      value.layers.push({ id: 3 });
+    }).toThrowError(TypeError);
+
+    history.moveBackward();
+    expect(history.current()).toEqual({ layers: [{ id: 1 }] });
+  });
+
+  test("should apply the policy to the restored items", () => {
+    var history = new CircularHistory(3, "object");
+    history.commit({ x: 1 });
+
+    var restored = CircularHistory.fromJSON(JSON.stringify(history), undefined, undefined, {
+      snapshot: "freeze",
+    });
+
+    expect(Object.isFrozen(restored.current())).toBe(true);
+  });
+});
+
+describe("CircularHistory checkpoints", () => {
+  test("should pin the current item and jump back to it", () => {
+    var history = new CircularHistory(5, "string");
+    history.commit("a");
+    history.commit("b", { label: "Save" });
+    var id = history.pin();
+    history.commit("c");
+
+    expect(history.restoreCheckpoint(id)).toBe(id);
+    expect(history.current()).toBe("b");
+    expect([...history]).toEqual(["a", "b", "c"]);
+  });
+
+  test("should keep pinned items restorable after they have been overwritten", () => {
+    var history = new CircularHistory(2, "string");
+    history.commit("a", { label: "Save" });
+    var id = history.pin(0);
+    ["b", "c", "d"].forEach((item) => history.commit(item));
+
+    expect(history.checkpoints()).toEqual([
+      { id: id, value: "a", meta: expect.objectContaining({ label: "Save" }), position: -1 },
+    ]);
+
+    var restoredId = history.restoreCheckpoint(id);
+
+    expect([...history]).toEqual(["d", "a"]);
+    expect(history.currentMeta()).toEqual(
+      expect.objectContaining({ id: restoredId, label: "Save", restoredFrom: id }),
+    );
+    expect(restoredId).not.toBe(id);
+  });
+
+  test("should limit the amount of pins", () => {
+    var history = new CircularHistory(5, "number", { maxPins: 1 });
+    history.commit(1);
+    history.commit(2);
+
+    var id = history.pin(0);
+    expect(history.pin(0)).toBe(id);
+    expect(() => history.pin(1)).toThrowError(
+      "Can't pin more than 1 items. Unpin one of them first.",
+    );
+
+    expect(history.unpin(id)).toBe(true);
+    expect(history.unpin(id)).toBe(false);
+    expect(history.pin(1)).toBe(1);
+    expect(() => history.pin(2)).toThrowError("There is no item at position 2 to pin.");
+    expect(() => history.restoreCheckpoint(id)).toThrowError('Checkpoint "0" does not exist.');
+  });
+
+  test("should dump the pinned items that have been evicted from the buffer", () => {
+    var history = new CircularHistory(2, "string");
+    history.commit("a", { label: "Save" });
+    history.pin();
+    ["b", "c", "d"].forEach((item) => history.commit(item));
+
+    expect(history.dump(false, true)).toEqual([
+      { value: "c", meta: expect.objectContaining({ id: 2 }), pinned: false, evicted: false },
+      { value: "d", meta: expect.objectContaining({ id: 3 }), pinned: false, evicted: false },
+      {
+        value: "a",
+        meta: expect.objectContaining({ id: 0, label: "Save" }),
+        pinned: true,
+        evicted: true,
+      },
+    ]);
+    expect(history.dump()).toEqual(["c", "d"]);
+
+    history.unpin(0);
+    expect(history.dump(true, true)).toHaveLength(2);
+  });
+
+  test("should include the pins in dump and serialization", () => {
+    var history = new CircularHistory(2, "number");
+    history.commit(1);
+    history.pin();
+    history.commit(2);
+
+    expect(history.dump(false, true).map((entry) => entry.pinned)).toEqual([true, false]);
+
+    history.commit(3);
+    var restored = CircularHistory.fromJSON(JSON.stringify(history));
+
+    expect(restored.checkpoints()).toEqual(history.checkpoints());
+    restored.restoreCheckpoint(0);
+    expect([...restored]).toEqual([3, 1]);
+    expect(restored.currentMeta().id).toBe(3);
+  });
+});
+
+describe("CircularHistory eviction", () => {
+  test("should evict the oldest item and move the pointer off it", () => {
+    var history = new CircularHistory(5, "number");
+    var events = [];
+    history.on("overwrite", (event) => events.push(event));
+    [1, 2, 3].forEach((item) => history.commit(item));
+    history.goToStart();
+
+    expect(history.evictOldest()).toBe(1);
+    expect([...history]).toEqual([2, 3]);
+    expect(history.current()).toBe(2);
+    expect(history.isStartReached()).toBe(true);
+    expect(events).toEqual([{ type: "overwrite", value: 1 }]);
+  });
+
+  test("should become empty after evicting the last item", () => {
+    var history = new CircularHistory(2, "number");
+    [1, 2, 3].forEach((item) => history.commit(item));
+    history.evictOldest();
+    history.evictOldest();
+
+    expect(history.evictOldest()).toBe(CircularHistory.FLAGS.empty);
+    expect(history.size).toBe(0);
+    expect(history.dump(true)).toEqual([]);
+
+    history.commit(4);
+    expect([...history]).toEqual([4]);
+  });
+});
+
+describe("CircularHistory persistence", () => {
+  var fail = (error) => {
+    throw error;
+  };
+
+  var createAdapter = () => {
+    var values = new Map();
+    var writes = [];
+
+    return {
+      values: values,
+      writes: writes,
+      load: (key) => values.get(key),
+      save: (key, value) => {
+        writes.push(key);
+        values.set(key, JSON.parse(JSON.stringify(value)));
+      },
+      remove: (key) => {
+        writes.push(`-${key}`);
+        values.delete(key);
+      },
+    };
+  };
+
+  test("should restore an equivalent instance including the position", async () => {
+    var adapter = createAdapter();
+    var history = new CircularHistory(3, "bigint", {
+      autosave: { adapter, key: "doc", onError: fail },
+    });
+    [1n, 2n, 3n, 4n].forEach((item, index) => history.commit(item, { label: `#${index}` }));
+    history.moveBackward();
+    history.pin();
+    await history.save();
+
+    var restored = await CircularHistory.restore(adapter, "doc");
+
+    expect([...restored]).toEqual([2n, 3n, 4n]);
+    expect(restored.current()).toBe(3n);
+    expect(restored.position).toBe(1);
+    expect(restored.isStartReached()).toBe(false);
+    expect(restored.metadata()).toEqual(history.metadata());
+    expect(restored.checkpoints()).toEqual(history.checkpoints());
+    expect(restored.dump()).toEqual(history.dump());
+
+    restored.goToStart();
+    expect(restored.isStartReached()).toBe(true);
+    expect(restored.current()).toBe(2n);
+  });
+
+  test("should resolve with null if nothing has been saved", async () => {
+    expect(await CircularHistory.restore(createAdapter(), "doc")).toBe(null);
+  });
+
+  test("should save after the throttle time", async () => {
+    var adapter = createAdapter();
+    var history = new CircularHistory(3, "number", {
+      autosave: { adapter, key: "doc", onError: fail, throttle: 10 },
+    });
+    history.commit(1);
+    history.commit(2);
+    history.moveBackward();
+
+    expect(adapter.writes).toEqual([]);
+
+    await new Promise((resolve) => setTimeout(resolve, 30));
+
+    expect(adapter.writes).toEqual(["doc/0", "doc/1", "doc/pins", "doc"]);
+    expect((await CircularHistory.restore(adapter, "doc")).current()).toBe(1);
+  });
+
+  test("should only write the changed slots", async () => {
+    var adapter = createAdapter();
+    var options = { autosave: { adapter, key: "doc", onError: fail, throttle: 0 } };
+    var history = new CircularHistory(3, "number", options);
+    [1, 2, 3].forEach((item) => history.commit(item));
+    await history.save();
+    adapter.writes.length = 0;
+
+    history.moveBackward();
+    await history.save();
+    expect(adapter.writes).toEqual(["doc", "doc"]);
+    adapter.writes.length = 0;
+
+    var restored = await CircularHistory.restore(adapter, "doc", undefined, undefined, options);
+    restored.commit(4);
+    await restored.save();
+    expect(adapter.writes).toEqual(["doc/2", "doc", "doc"]);
+
+    restored.clear();
+    await restored.save();
+    expect(adapter.values.get("doc").indices).toEqual([]);
+    expect([...adapter.values.keys()].sort()).toEqual(["doc", "doc/pins"]);
+  });
+
+  test("should surface the storage errors", async () => {
+    var adapter = createAdapter();
+    var errors = [];
+    var history = new CircularHistory(3, "number", {
+      autosave: {
+        adapter,
+        key: "doc",
+        onError: (error) => errors.push(error.message),
+        throttle: 0,
+      },
+    });
+    history.on("error", (event) => errors.push(`event: ${event.error.message}`));
+    adapter.save = () => Promise.reject(new Error("Quota exceeded"));
+
+    history.commit(1);
+    await expect(history.save()).rejects.toThrowError("Quota exceeded");
+    expect(errors).toEqual(["Quota exceeded", "event: Quota exceeded"]);
+
+    adapter.save = (key, value) => {
+      adapter.values.set(key, value);
+    };
+    await history.save();
+    expect((await CircularHistory.restore(adapter, "doc")).current()).toBe(1);
+  });
+
+  test("should require an error handler", () => {
+    expect(
+      () =>
+        new CircularHistory(3, "number", { autosave: { adapter: createAdapter(), key: "doc" } }),
+    ).toThrowError(
+      'Autosave onError must be a function that handles the storage errors. Got "undefined".',
+    );
+  });
+
+  test("should not keep the process alive while waiting for the throttle", async () => {
+    var countTimers = () =>
+      process.getActiveResourcesInfo().filter((resource) => resource === "Timeout").length;
+    var timers = countTimers();
+    var history = new CircularHistory(3, "number", {
+      autosave: { adapter: createAdapter(), key: "doc", onError: fail },
+    });
+
+    history.commit(1);
+    expect(countTimers()).toBe(timers);
+    await history.save();
+  });
+
+  test("should reject corrupted states", async () => {
+    var adapter = createAdapter();
+    var history = new CircularHistory(3, "number", {
+      autosave: { adapter, key: "doc", onError: fail },
+    });
+    [1, 2].forEach((item) => history.commit(item));
+    await history.save();
+
+    adapter.values.set("doc/1", "oops");
+    await expect(CircularHistory.restore(adapter, "doc")).rejects.toThrowError(
+      /Stored value "doc\/1" is corrupted/,
+    );
+
+    adapter.values.delete("doc/1");
+    await expect(CircularHistory.restore(adapter, "doc")).rejects.toThrowError(/corrupted/);
+
+    adapter.values.set("doc/1", [true, { id: 1, timestamp: 0 }]);
+    await expect(CircularHistory.restore(adapter, "doc")).rejects.toThrowError(/Expected "number"/);
+
+    adapter.values.set("doc", "oops");
+    await expect(CircularHistory.restore(adapter, "doc")).rejects.toThrowError(
+      /Stored value "doc" is corrupted/,
+    );
+  });
+
+  test("should throw if autosave is not enabled", () => {
+    expect(() => new CircularHistory(3, "number").save()).toThrowError(/Autosave is not enabled/);
+  });
+});
+
+describe("CircularHistory queries", () => {
+  var createWrapped = () => {
+    var history = new CircularHistory(4, "number");
+    [1, 2, 3, 4, 5, 6].forEach((item, index) => history.commit(item, { label: `#${index}` }));
+    history.go(-2);
+    return history;
+  };
+
+  test("should find items by chronological position after wrapping", () => {
+    var history = createWrapped();
+    var calls = [];
+
+    expect(
+      history.find((item, position, meta) => {
+        calls.push([item, position, meta.label]);
+        return item % 2 === 0;
+      }),
+    ).toBe(4);
+    expect(calls).toEqual([
+      [3, 0, "#2"],
+      [4, 1, "#3"],
+    ]);
+    expect(history.findLast((item) => item % 2 === 0)).toBe(6);
+    expect(history.find((item) => item > 10)).toBe(CircularHistory.FLAGS.empty);
+    expect(history.filter((item) => item !== 5)).toEqual([3, 4, 6]);
+    expect(history.indexOf(5)).toBe(2);
+    expect(history.indexOf(1)).toBe(-1);
+  });
+
+  test("should search only the undo or the redo side", () => {
+    var history = createWrapped();
+
+    expect(history.filter(() => true, { side: "undo" })).toEqual([3, 4]);
+    expect(history.filter(() => true, { side: "redo" })).toEqual([5, 6]);
+    expect(history.findLast((item) => item % 2 === 0, { side: "undo" })).toBe(4);
+    expect(history.find((item) => item < 5, { side: "redo" })).toBe(CircularHistory.FLAGS.empty);
+    expect(history.indexOf(6, { side: "undo" })).toBe(-1);
+    expect(history.indexOf(6, { side: "redo" })).toBe(3);
+    expect(() => history.find(() => true, { side: "both" })).toThrowError(/Search side/);
+
+    history.goToStart();
+    history.moveBackward();
+    expect(history.filter(() => true, { side: "undo" })).toEqual([3]);
+  });
+
+  test("should compare items with the equals option", () => {
+    var history = new CircularHistory(4, "object", { equals: "deep" });
+    history.commit({ a: 1 });
+    history.commit({ a: 2 });
+
+    expect(history.indexOf({ a: 2 })).toBe(1);
+    expect(new CircularHistory(4, "object").indexOf({ a: 2 })).toBe(-1);
+  });
+
+  test("should seek the nearest match and keep the navigation bounds", () => {
+    var history = createWrapped();
+    var events = [];
+    history.on("move", (event) => events.push(event.steps));
+
+    expect(history.seek((item) => item > 4, "forward")).toBe(2);
+    expect(history.current()).toBe(5);
+    expect(history.seek((item) => item > 4, "forward")).toBe(3);
+    expect(history.seek((item) => item > 4, "forward")).toBe(-1);
+    expect(history.seek((item) => item % 2 === 1)).toBe(2);
+    expect(history.seek((item) => item % 2 === 1)).toBe(0);
+    expect(history.seek(() => true)).toBe(-1);
+    expect(history.current()).toBe(3);
+    expect(history.isStartReached()).toBe(true);
+    expect(events).toEqual([1, 1, 1, 2]);
+    expect(() => history.seek(() => true, "up")).toThrowError(/Direction/);
+
+    var fresh = new CircularHistory(3, "number");
+    [1, 2].forEach((item) => fresh.commit(item));
+    fresh.goToStart();
+    expect(fresh.seek(() => true, "forward")).toBe(0);
+    expect(fresh.current()).toBe(1);
+    fresh.moveBackward();
+    expect(fresh.current()).toBe(CircularHistory.FLAGS.empty);
+  });
+});
+
+describe("CircularHistory typed storage", () => {
+  test("should behave the same with and without typed storage", () => {
+    var histories = [true, false].map(
+      (typedStorage) =>
+        new CircularHistory(3, "number", { typedStorage: typedStorage, clock: () => 1000 }),
+    );
+
+    histories.forEach((history) => {
+      [0, -1.5, NaN, Infinity, 4].forEach((item) => history.commit(item));
+      history.moveBackward();
+    });
+
+    var [typed, untyped] = histories;
+    expect(typed.dump()).toEqual(untyped.dump());
+    expect(typed.dump(true, true)).toEqual(untyped.dump(true, true));
+    expect(typed.current()).toBe(Infinity);
+    expect(typed.toJSON()).toEqual(untyped.toJSON());
+  });
+
+  test("should return the empty slots as undefined", () => {
+    var history = new CircularHistory(4, "number");
+    history.commit(0);
+    history.commit(2);
+
+    expect(history.dump()).toStrictEqual([0, 2, undefined, undefined]);
+    expect(3 in history.dump()).toBe(true);
+    expect(history.dump(true)).toEqual([0, 2]);
+
+    history.moveBackward();
+    history.commit(1);
+    expect(history.dump()).toEqual([0, 1, undefined, undefined]);
+  });
+
+  test("should store the metadata", () => {
+    var history = new CircularHistory(3, "number");
+    history.commit(1, { label: "first" });
+    history.commit(2);
+
+    expect(history.dump(true, true)).toEqual([
+      {
+        value: 1,
+        pinned: false,
+        evicted: false,
+        meta: { id: 0, timestamp: expect.any(Number), label: "first" },
+      },
+      { value: 2, pinned: false, evicted: false, meta: { id: 1, timestamp: expect.any(Number) } },
+    ]);
+  });
+
+  test("should clear and reuse the slots", () => {
+    var history = new CircularHistory(3, "bigint");
+    [1n, 2n, 3n, 4n].forEach((item) => history.commit(item));
+    history.clear();
+
+    expect(history.size).toBe(0);
+    expect(history.dump()).toEqual([undefined, undefined, undefined]);
+    expect(history.current()).toBe(CircularHistory.FLAGS.empty);
+
+    history.commit(5n);
+    expect(history.dump(true)).toEqual([5n]);
+  });
+
+  test("should go back to typed slots after clearing a promoted history", async () => {
+    var options = { clock: () => 1000 };
+    var history = new CircularHistory(3, "number", options);
+    var fresh = new CircularHistory(3, "number", options);
+
+    history.commit(() => 1, {}, { lazy: true });
+    history.clear();
+    expect(history.dump()).toEqual([undefined, undefined, undefined]);
+
+    [history, fresh].forEach((item) => [2, 3].forEach((value) => item.commit(value)));
+    expect(history.dump()).toStrictEqual(fresh.dump());
+    expect(history.metadata().map((meta) => meta.id)).toEqual([1, 2]);
+    expect(history.metadata().map((meta) => meta.timestamp)).toEqual([1000, 1000]);
+    expect(history.toJSON().items).toEqual(fresh.toJSON().items);
+
+    history.commit(() => 4, {}, { lazy: true });
+    expect(await history.currentAsync()).toBe(4);
+    expect([...history]).toEqual([2, 3, 4]);
+  });
+
+  test("should fall back to arrays for bigints out of 64 bits", () => {
+    var history = new CircularHistory(3, "bigint");
+    history.commit(1n);
+    history.commit(2n ** 64n);
+    history.commit(-(2n ** 63n));
+
+    expect(history.dump(true)).toEqual([1n, 2n ** 64n, -(2n ** 63n)]);
+    history.moveBackward();
+    expect(history.current()).toBe(2n ** 64n);
+  });
+
+  test("should validate the typedStorage option", () => {
+    expect(() => new CircularHistory(3, "number", { typedStorage: "yes" })).toThrowError(
+      /typedStorage must be a boolean/,
+    );
+  });
+});
+
+describe("CircularHistory guards", () => {
+  var createHistory = () => {
+    var history = new CircularHistory(3, "number");
+    [1, 2, 3].forEach((item) => history.commit(item));
+    return history;
+  };
+
+  test("should cancel the moves and the commits", () => {
+    var history = createHistory();
+    var events = [];
+    history.subscribe((event) => events.push(event.type));
+
+    var removeMoveGuard = history.beforeMove(() => false);
+    history.beforeCommit((change) => change.value !== 0);
+
+    history.moveBackward();
+    expect(history.go(-2)).toBe(0);
+    expect(history.goToStart()).toBe(0);
+    expect(history.commit(0)).toBe(false);
+    expect(history.dump(true)).toEqual([1, 2, 3]);
+    expect(history.current()).toBe(3);
+
+    removeMoveGuard();
+    history.moveBackward();
+    expect(history.current()).toBe(2);
+    expect(history.commit(4)).toBe(true);
+    expect(events).toEqual(["move", "commit"]);
+  });
+
+  test("should describe the move", () => {
+    var history = createHistory();
+    var moves = [];
+    history.beforeMove((move) => moves.push(move));
+
+    history.go(-5);
+    history.moveForward();
+    history.goToEnd();
+
+    expect(moves).toEqual([
+      { direction: "backward", steps: 3, from: 2, to: -1, value: CircularHistory.FLAGS.empty },
+      { direction: "forward", steps: 1, from: -1, to: 0, value: 1 },
+      { direction: "forward", steps: 2, from: 0, to: 2, value: 3 },
+    ]);
+  });
+
+  test("should not call the guards if nothing would change", () => {
+    var history = createHistory();
+    var calls = 0;
+    history.beforeMove(() => calls++);
+    history.beforeCommit(() => calls++);
+
+    history.moveForward();
+    expect(history.go(0)).toBe(0);
+    expect(calls).toBe(0);
+
+    var strict = new CircularHistory(3, "number", { equals: "strict" });
+    strict.commit(1);
+    strict.beforeCommit(() => calls++);
+    strict.commit(1);
+    expect(calls).toBe(0);
+  });
+
+  test("should leave the state untouched when a guard throws", () => {
+    var history = createHistory();
+    history.beforeMove(() => {
+      throw new Error("Unsaved changes");
+    });
+    history.beforeCommit(() => Promise.resolve(true));
+
+    expect(() => history.moveBackward()).toThrowError("Unsaved changes");
+    expect(() => history.commit(4)).toThrowError(/Use commitAsync/);
+    expect(history.current()).toBe(3);
+    expect(history.dump(true)).toEqual([1, 2, 3]);
+  });
+
+  test("should throw in the sync methods if a guard returns a promise", () => {
+    var history = createHistory();
+    history.beforeMove(() => Promise.resolve(true));
+
+    expect(() => history.moveBackward()).toThrowError(/Use moveBackwardAsync/);
+    expect(() => history.goTo(2)).not.toThrow();
+    expect(history.current()).toBe(3);
+  });
+
+  test("should wait for the async guards", async () => {
+    var history = createHistory();
+    var allowed = true;
+    history.beforeMove(async () => allowed);
+    history.beforeCommit(async (change) => change.meta.label !== "blocked");
+
+    await expect(history.moveBackwardAsync()).resolves.toBe(true);
+    expect(history.current()).toBe(2);
+
+    allowed = false;
+    await expect(history.moveForwardAsync()).resolves.toBe(false);
+    expect(history.current()).toBe(2);
+
+    await expect(history.commitAsync(5, { label: "blocked" })).resolves.toBe(false);
+    await expect(history.commitAsync(5)).resolves.toBe(true);
+    expect(history.dump(true)).toEqual([1, 2, 5]);
+  });
+
+  test("should queue the async calls behind pending guards", async () => {
+    var history = createHistory();
+    var resolvers = [];
+    var calls = [];
+
+    history.beforeMove((move) => {
+      calls.push(move.from);
+      return new Promise((resolve) => resolvers.push(resolve));
+    });
+
+    var first = history.moveBackwardAsync();
+    var second = history.moveBackwardAsync();
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(calls).toEqual([2]);
+    resolvers[0](true);
+    await expect(first).resolves.toBe(true);
+
+    await new Promise((resolve) => setTimeout(resolve));
+    expect(calls).toEqual([2, 1]);
+    resolvers[1](false);
+    await expect(second).resolves.toBe(false);
+    expect(history.current()).toBe(2);
+  });
+
+  test("should reject and keep the state when an async guard rejects", async () => {
+    var history = createHistory();
+    var removeGuard = history.beforeMove(() => Promise.reject(new Error("Saving")));
+
+    await expect(history.moveBackwardAsync()).rejects.toThrowError("Saving");
+    expect(history.current()).toBe(3);
+
+    removeGuard();
+    await expect(history.moveBackwardAsync()).resolves.toBe(true);
+    expect(history.current()).toBe(2);
+  });
+
+  test("should validate the guards and the async commits", async () => {
+    var history = createHistory();
+    expect(() => history.beforeMove("guard")).toThrowError(/Guard must be a function/);
+    await expect(history.commitAsync("4")).rejects.toThrowError();
+    await expect(history.commitAsync(4)).resolves.toBe(true);
+  });
+});
+
+describe("CircularHistory lazy items", () => {
+  var defer = () => {
+    var deferred = {};
+    deferred.promise = new Promise((resolve, reject) => {
+      deferred.resolve = resolve;
+      deferred.reject = reject;
+    });
+    return deferred;
+  };
+
+  test("should store pending items and resolve them on demand", async () => {
+    var history = new CircularHistory(3, "object");
+    var calls = 0;
+    var events = [];
+    history.on("commit", (event) => events.push(event.value));
+
+    history.commit({ a: 1 });
+    history.commit(() => ++calls && { a: 2 }, { label: "lazy" }, { lazy: true });
+
+    expect(calls).toBe(0);
+    expect(history.current()).toBe(CircularHistory.FLAGS.pending);
+    expect(history.dump(true)).toEqual([{ a: 1 }, CircularHistory.FLAGS.pending]);
+    expect(history.currentMeta().label).toBe("lazy");
+    expect(events).toEqual([{ a: 1 }, CircularHistory.FLAGS.pending]);
+
+    await expect(history.currentAsync()).resolves.toEqual({ a: 2 });
+    await expect(history.currentAsync()).resolves.toEqual({ a: 2 });
+    expect(calls).toBe(1);
+    expect(history.current()).toEqual({ a: 2 });
+
+    history.moveBackward();
+    await expect(history.currentAsync()).resolves.toEqual({ a: 1 });
+  });
+
+  test("should keep the order when later items resolve first", async () => {
+    var history = new CircularHistory(3, "number");
+    var first = defer();
+    var second = defer();
+
+    history.commit(first.promise, {}, { lazy: true });
+    history.commit(second.promise, {}, { lazy: true });
+
+    var resolving = history.currentAsync();
+    second.resolve(2);
+    await expect(resolving).resolves.toBe(2);
+    expect(history.dump(true)).toEqual([CircularHistory.FLAGS.pending, 2]);
+
+    var resolvingAll = history.resolvePending();
+    first.resolve(1);
+    await resolvingAll;
+
+    expect([...history]).toEqual([1, 2]);
+    history.moveBackward();
+    expect(history.current()).toBe(1);
+  });
+
+  test("should share the resolution between concurrent reads", async () => {
+    var history = new CircularHistory(3, "string");
+    var calls = 0;
+    history.commit(async () => `item ${++calls}`, {}, { lazy: true });
+
+    var results = await Promise.all([history.currentAsync(), history.currentAsync()]);
+    expect(results).toEqual(["item 1", "item 1"]);
+    expect(calls).toBe(1);
+  });
+
+  test("should keep the rejected item pending by default", async () => {
+    var history = new CircularHistory(3, "number");
+    var attempts = 0;
+    history.commit(1);
+    history.commit(
+      () => {
+        if (++attempts === 1) throw new Error("Snapshot failed");
+        return 2;
+      },
+      {},
+      { lazy: true },
+    );
+
+    await expect(history.currentAsync()).rejects.toThrowError("Snapshot failed");
+    expect(history.current()).toBe(CircularHistory.FLAGS.pending);
+    expect(history.size).toBe(2);
+
+    await expect(history.currentAsync()).resolves.toBe(2);
+    expect(attempts).toBe(2);
+  });
+
+  test("should validate the type after resolution", async () => {
+    var history = new CircularHistory(3, "number");
+    history.commit(() => "2", {}, { lazy: true });
+
+    await expect(history.currentAsync()).rejects.toThrowError(/Type of 2 is invalid/);
+    expect(history.current()).toBe(CircularHistory.FLAGS.pending);
+  });
+
+  test("should drop the rejected items and repair the bounds", async () => {
+    var history = new CircularHistory(4, "number", { onReject: "drop" });
+    var errors = [];
+    history.on("error", (event) => errors.push(event.error.message));
+
+    history.commit(1);
+    history.commit(Promise.reject(new Error("Lost")), {}, { lazy: true });
+    history.commit(() => "3", {}, { lazy: true });
+    history.commit(4);
+    history.go(-2);
+
+    await expect(history.currentAsync()).resolves.toBe(1);
+    expect([...history]).toEqual([1, CircularHistory.FLAGS.pending, 4]);
+    expect(history.position).toBe(0);
+    expect(errors).toEqual(["Lost"]);
+
+    await history.resolvePending();
+    expect([...history]).toEqual([1, 4]);
+    expect(history.metadata().map((meta) => meta.id)).toEqual([0, 3]);
+    expect(history.current()).toBe(1);
+
+    history.moveBackward();
+    expect(history.current()).toBe(CircularHistory.FLAGS.empty);
+    history.goToEnd();
+    expect(history.current()).toBe(4);
+    expect(history.isEndReached()).toBe(true);
+  });
+
+  test("should drop the only item", async () => {
+    var history = new CircularHistory(2, "number", { onReject: "drop" });
+    history.commit(() => Promise.reject(new Error("Lost")), {}, { lazy: true });
+
+    await expect(history.currentAsync()).resolves.toBe(CircularHistory.FLAGS.empty);
+    expect(history.size).toBe(0);
+
+    history.commit(1);
+    expect([...history]).toEqual([1]);
+  });
+
+  test("should measure the items once they are resolved", async () => {
+    var history = new CircularHistory(5, "string", { maxBytes: 8 });
+    history.commit("abc");
+    history.commit(() => "def", {}, { lazy: true });
+    expect(history.bytes).toBe(6);
+
+    await history.currentAsync();
+    expect(history.bytes).toBe(6);
+    expect([...history]).toEqual(["def"]);
+  });
+
+  test("should emit a resolve event with the items evicted by the budget", async () => {
+    var history = new CircularHistory(5, "string", { maxBytes: 8 });
+    var events = [];
+    history.on("resolve", (event) => events.push(event));
+
+    history.commit("abc");
+    history.commit(() => "def", {}, { lazy: true });
+    var id = history.currentMeta().id;
+    await history.currentAsync();
+    await history.currentAsync();
+
+    expect(events).toEqual([{ type: "resolve", id: id, value: "def", evicted: ["abc"] }]);
+  });
+
+  test("should require the pending items to be resolved before serializing", async () => {
+    var history = new CircularHistory(3, "number");
+    history.commit(() => 1, {}, { lazy: true });
+
+    expect(() => history.toJSON()).toThrowError(/resolvePending/);
+    expect(() => history.pin()).toThrowError(/pending/);
+
+    await history.resolvePending();
+    expect(CircularHistory.fromJSON(history.toJSON()).current()).toBe(1);
+  });
+
+  test("should resolve the pending items before autosaving", async () => {
+    var adapter = CircularHistory.adapters.memory();
+    var history = new CircularHistory(3, "number", {
+      autosave: { adapter: adapter, key: "doc", onError: () => {}, throttle: 0 },
+    });
+
+    history.commit(async () => 1, {}, { lazy: true });
+    await history.save();
+
+    expect(history.current()).toBe(1);
+    var restored = await CircularHistory.restore(adapter, "doc", undefined, "number");
+    expect(restored.current()).toBe(1);
+  });
+
+  test("should validate the lazy commits", () => {
+    var history = new CircularHistory(3, "number");
+
+    expect(() => history.commit(1, {}, { lazy: true })).toThrowError(/function or a promise/);
+    expect(() => history.commit(() => 1, {}, { lazy: "yes" })).toThrowError(/Lazy option/);
+    expect(() =>
+      new CircularHistory(3, "string", { delta: true }).commit(() => "a", {}, { lazy: true }),
+    ).toThrowError(/delta storage/);
+    expect(() => new CircularHistory(3, "number", { onReject: "ignore" })).toThrowError(
+      /onReject must be one of/,
+    );
+  });
+});
+
+describe("CircularHistory retention", () => {
+  var createClock = () => {
+    var clock = () => clock.now;
+    clock.now = 1000;
+    return clock;
+  };
+
+  var createHistory = (clock, options) => {
+    var history = new CircularHistory(5, "number", { maxAge: 150, clock: clock, ...options });
+
+    [1, 2, 3, 4].forEach((item) => {
+      history.commit(item);
+      clock.now += 40;
+    });
+
+    return history;
+  };
+
+  test("should use the clock for the timestamps", () => {
+    var clock = createClock();
+    var history = createHistory(clock);
+
+    expect(history.metadata().map((meta) => meta.timestamp)).toEqual([1000, 1040, 1080, 1120]);
+  });
+
+  test("should evict the expired items on commit", () => {
+    var clock = createClock();
+    var history = createHistory(clock);
+    var events = [];
+    history.on("commit", (event) => events.push(event.evicted));
+
+    clock.now = 1200;
+    history.commit(5);
+
+    expect([...history]).toEqual([3, 4, 5]);
+    expect(events).toEqual([[1, 2]]);
+    expect(history.isEndReached()).toBe(true);
+
+    history.goToStart();
+    expect(history.current()).toBe(3);
+    history.moveBackward();
+    expect(history.current()).toBe(3);
+  });
+
+  test("should evict the expired items on navigation and adjust the pointer", () => {
+    var clock = createClock();
+    var history = createHistory(clock);
+    var overwritten = [];
+    history.on("overwrite", (event) => overwritten.push(event.value));
+
+    clock.now = 1120;
+    history.goToStart();
+    expect(history.current()).toBe(CircularHistory.FLAGS.empty);
+
+    clock.now = 1180;
+    history.moveForward();
+
+    expect(overwritten).toEqual([1]);
+    expect([...history]).toEqual([2, 3, 4]);
+    expect(history.current()).toBe(2);
+    expect(history.position).toBe(0);
+
+    clock.now = 1300;
+    history.moveBackward();
+    expect(history.size).toBe(0);
+    expect(history.current()).toBe(CircularHistory.FLAGS.empty);
+  });
+
+  test("should not expire the items when a guard cancels the move", async () => {
+    var clock = createClock();
+    var history = createHistory(clock);
+    var overwritten = [];
+    history.on("overwrite", (event) => overwritten.push(event.value));
+    var removeGuard = history.beforeMove(() => false);
+
+    clock.now = 1180;
+    history.moveBackward();
+    expect(history.go(-2)).toBe(0);
+    expect(history.seek((item) => item === 2)).toBe(1);
+    expect(await history.moveBackwardAsync()).toBe(false);
+
+    expect(overwritten).toEqual([]);
+    expect(history.size).toBe(4);
+
+    removeGuard();
+    expect(history.seek((item) => item === 2)).toBe(0);
+    expect(overwritten).toEqual([1]);
+    expect(history.current()).toBe(2);
+  });
+
+  test("should keep the bounds when expiring after wrapping", () => {
+    var clock = createClock();
+    var history = new CircularHistory(3, "number", { maxAge: 35, clock: clock });
+
+    [1, 2, 3, 4, 5].forEach((item) => {
+      history.commit(item);
+      clock.now += 10;
+    });
+
+    history.go(-1);
+    expect([...history]).toEqual([3, 4, 5]);
+    expect(history.current()).toBe(4);
+
+    clock.now = 1060;
+    expect(history.evictExpired()).toEqual([3]);
+    expect(history.go(-5)).toBe(0);
+    expect(history.current()).toBe(4);
+    expect(history.go(5)).toBe(1);
+    expect(history.current()).toBe(5);
+  });
+
+  test("should go to the latest item committed at or before the time", () => {
+    var clock = createClock();
+    var history = new CircularHistory(5, "number", { clock: clock });
+
+    [1, 2, 3, 4].forEach((item) => {
+      history.commit(item);
+      clock.now += 40;
+    });
+
+    expect(history.goToTime(1045)).toBe(1);
+    expect(history.current()).toBe(2);
+    expect(history.goToTime(1080)).toBe(2);
+    expect(history.current()).toBe(3);
+    expect(history.goToTime(5000)).toBe(3);
+    expect(history.current()).toBe(4);
+    expect(history.goToTime(999)).toBe(-1);
+    expect(history.current()).toBe(4);
+    expect(() => history.goToTime("1000")).toThrowError(/Timestamp must be a number/);
+  });
+
+  test("should not expire without maxAge", () => {
+    var clock = createClock();
+    var history = createHistory(clock, { maxAge: undefined });
+
+    clock.now = 1_000_000;
+    history.moveBackward();
+    history.commit(5);
+
+    expect([...history]).toEqual([1, 2, 3, 5]);
+    expect(history.evictExpired()).toEqual([]);
+  });
+
+  test("should validate the retention options", () => {
+    expect(() => new CircularHistory(3, "number", { maxAge: 0 })).toThrowError(
+      /maxAge must be a positive number/,
+    );
+    expect(() => new CircularHistory(3, "number", { clock: 1000 })).toThrowError(
+      /Clock must be a function/,
+    );
+  });
+});
+
+describe("CircularHistory editing", () => {
+  var createHistory = (capacity = 5, options) => {
+    var history = new CircularHistory(capacity, "number", options);
+    [1, 2, 3, 4].forEach((item) => history.commit(item, { label: `#${item}` }));
+    return history;
+  };
+
+  test("should squash a range into the last item", () => {
+    var history = createHistory();
+    var events = [];
+    history.on("edit", (event) => events.push(event));
+    history.goTo(2);
+
+    expect(history.squash(0, 2)).toEqual([1, 2, 3]);
+    expect([...history]).toEqual([3, 4]);
+    expect(history.current()).toBe(3);
+    expect(history.currentMeta().label).toBe("#3");
+    expect(history.position).toBe(0);
+    expect(events).toEqual([{ type: "edit", operation: "squash", removed: [1, 2, 3] }]);
+
+    history.moveBackward();
+    expect(history.current()).toBe(CircularHistory.FLAGS.empty);
+    history.goToEnd();
+    expect(history.current()).toBe(4);
+    expect(history.isEndReached()).toBe(true);
+  });
+
+  test("should squash with a merge function", () => {
+    var history = createHistory();
+    var metas;
+
+    history.squash(1, 3, (values, itemMetas) => {
+      metas = itemMetas.map((meta) => meta.label);
+      return values.reduce((sum, value) => sum + value, 0);
+    });
+
+    expect(metas).toEqual(["#2", "#3", "#4"]);
+    expect([...history]).toEqual([1, 9]);
+    expect(history.current()).toBe(9);
+    expect(() => history.squash(0, 1, () => "10")).toThrowError(/Type of 10 is invalid/);
+    expect([...history]).toEqual([1, 9]);
+  });
+
+  test("should keep the pointer at the same item when squashing before it", () => {
+    var history = createHistory();
+    history.moveBackward();
+
+    history.squash(0, 1);
+    expect([...history]).toEqual([2, 3, 4]);
+    expect(history.current()).toBe(3);
+    expect(history.position).toBe(1);
+
+    history.squash(2, 2, () => 5);
+    expect(history.current()).toBe(3);
+    history.moveForward();
+    expect(history.current()).toBe(5);
+  });
+
+  test("should remove items at a position", () => {
+    var history = createHistory();
+    history.goTo(1);
+
+    expect(history.removeAt(3)).toBe(4);
+    expect(history.current()).toBe(2);
+    expect(history.removeAt(1)).toBe(2);
+    expect(history.current()).toBe(1);
+    expect(history.removeAt(0)).toBe(1);
+    expect(history.current()).toBe(CircularHistory.FLAGS.empty);
+    expect([...history]).toEqual([3]);
+
+    history.moveForward();
+    expect(history.current()).toBe(3);
+    expect(() => history.removeAt(1)).toThrowError(/out of the navigation range/);
+  });
+
+  test("should not reach the empty state after removing from a wrapped history", () => {
+    var history = createHistory(3);
+    history.goToStart();
+    expect(history.current()).toBe(2);
+
+    history.removeAt(0);
+    expect([...history]).toEqual([3, 4]);
+    expect(history.current()).toBe(3);
+    history.moveBackward();
+    expect(history.current()).toBe(3);
+    expect(history.isStartReached()).toBe(true);
+  });
+
+  test("should replace the current item in place", () => {
+    var history = createHistory();
+    var events = [];
+    history.on("replace", (event) => events.push([event.value, event.previous]));
+    history.moveBackward();
+
+    var meta = history.currentMeta();
+    history.replaceCurrent(30, { migrated: true });
+
+    expect([...history]).toEqual([1, 2, 30, 4]);
+    expect(history.current()).toBe(30);
+    expect(history.currentMeta()).toEqual({ ...meta, migrated: true });
+    expect(events).toEqual([[30, 3]]);
+    expect(history.size).toBe(4);
+    expect(history.isEndReached()).toBe(false);
+
+    expect(() => history.replaceCurrent("30")).toThrowError(/Type of 30 is invalid/);
+    history.goToStart();
+    expect(() => history.replaceCurrent(0)).toThrowError(/no current item/);
+  });
+
+  test("should replace an item that the next delta is based on", () => {
+    var history = new CircularHistory(5, "string", { delta: true });
+    ["a", "ab", "abc"].forEach((item) => history.commit(item));
+    history.moveBackward();
+
+    history.replaceCurrent("xy");
+    expect([...history]).toEqual(["a", "xy", "abc"]);
+    history.moveForward();
+    expect(history.current()).toBe("abc");
+  });
+
+  test("should truncate the items that could be redone", () => {
+    var history = createHistory();
+    var events = [];
+    history.on("edit", (event) => events.push(event.removed));
+
+    expect(history.truncateRedo()).toEqual([]);
+    history.go(-2);
+
+    expect(history.truncateRedo()).toEqual([3, 4]);
+    expect([...history]).toEqual([1, 2]);
+    expect(history.isEndReached()).toBe(true);
+
+    history.goToStart();
+    expect(history.truncateRedo()).toEqual([1, 2]);
+    expect(history.size).toBe(0);
+    expect(events).toEqual([
+      [3, 4],
+      [1, 2],
+    ]);
+
+    history.commit(5);
+    expect([...history]).toEqual([5]);
+  });
+
+  test("should keep the size of the items in sync", () => {
+    var history = new CircularHistory(5, "string", { maxBytes: 12 });
+    ["ab", "cd", "ef"].forEach((item) => history.commit(item));
+
+    history.squash(0, 1, (values) => values.join(""));
+    expect(history.bytes).toBe(12);
+    history.replaceCurrent("e");
+    expect(history.bytes).toBe(10);
+    history.removeAt(0);
+    expect(history.bytes).toBe(2);
+  });
+});
@@ -0,0 +1,290 @@
+import { CircularHistory, canMoveForward } from "./circular-history.js";
+import { FLAGS } from "./config.js";
+
+/**
+ * #Config
+ */
+
+/**
+ * @description
+ * How search queries are matched against the entries.
+ */
+var MATCHERS = {
+  prefix: (entry, query) => entry.startsWith(query),
+  substring: (entry, query) => entry.includes(query),
+};
+
+/**
+ * #Utils
+ */
+
+var isBlank = (line) => line.trim() === "";
+
+var resolveMatcher = (mode = "substring") => {
+  if (!Object.hasOwn(MATCHERS, mode)) {
+    throw new Error(
+      `Search mode must be one of: ${Object.keys(MATCHERS).join(", ")}. Got "${mode}".`,
+    );
+  }
+
+  return MATCHERS[mode];
+};
+
+/**
+ * #State
+ *
+ * @description
+ * Using WeakMap to store private state in order to not expose private properties.
+ */
+var STATE = new WeakMap();
+
+var saveDraft = (self, draft) => {
+  if (draft === undefined) return;
+
+  if (typeof draft !== "string") {
+    throw new Error(`Draft must be a string. Got "${typeof draft}".`);
+  }
+
+  self.draft = draft;
+};
+
+/**
+ * @description
+ * Finds the nearest entry that matches the query and moves to it. The search starts from
+ * the entry after (or before) the current one, or from the current one if the query has
+ * changed since the last search, so typing more characters keeps the current match.
+ * Returns the entry or FLAGS.empty if nothing matches, in which case the position stays the same.
+ */
+var search = (self, query, options, direction) => {
+  if (typeof query !== "string") {
+    throw new Error(`Query must be a string. Got "${typeof query}".`);
+  }
+
+  var matches = resolveMatcher(options.mode);
+  var history = self.history;
+  var entries = [...history];
+  var step = direction === "backward" ? -1 : 1;
+  var position = self.navigating ? history.position : entries.length;
+
+  if (!self.navigating || self.query === query) position += step;
+  self.query = query;
+
+  for (; position >= 0 && position < entries.length; position += step) {
+    if (!matches(entries[position], query)) continue;
+
+    if (!self.navigating) saveDraft(self, options.draft);
+    self.navigating = true;
+    history.goTo(position);
+
+    return entries[position];
+  }
+
+  return FLAGS.empty;
+};
+
+/**
+ * @description
+ *
+ * Command History
+ *
+ * Input history of a REPL or a shell that behaves like readline. Entries are stored in a
+ * CircularHistory of strings. moveBackward and moveForward cycle through the entries, and the line
+ * that was being typed (the draft) is kept while browsing them and comes back after moving
+ * forward past the newest entry. Adding an entry always appends it to the end, regardless of
+ * the entry being browsed, and starts a new draft.
+ *
+ * @param {number} capacity - Maximum amount of entries
+ * @param {object} [options] - Options, the rest of them are passed to CircularHistory
+ * @param {boolean} [options.ignoreDuplicates] - Skips entries equal to the previous one
+ * @param {boolean} [options.ignoreBlank] - Skips entries that consist of whitespace only
+ */
+function CommandHistory(capacity, options = {}) {
+  var { ignoreDuplicates, ignoreBlank, ...historyOptions } = options;
+
+  STATE.set(this, {
+    history: new CircularHistory(
+      capacity,
+      "string",
+      ignoreDuplicates ? { ...historyOptions, equals: "strict" } : historyOptions,
+    ),
+
+    ignoreBlank: ignoreBlank === true,
+
+    /**
+     * The line that was being typed before browsing the entries.
+     */
+    draft: "",
+
+    /**
+     * Whether an entry is being browsed. Otherwise the draft is the current line
+     * and the pointer of the history stays at the newest entry.
+     */
+    navigating: false,
+
+    /**
+     * Query of the last search or null if the position has changed since then.
+     */
+    query: null,
+  });
+}
+
+/**
+ * @description
+ * Appends the line to the end and starts a new draft. Blank lines and duplicates of the
+ * newest entry are skipped if the ignoreBlank and ignoreDuplicates options are set.
+ * Returns false if the line has been skipped.
+ *
+ * @param {string} line - Entered line
+ */
+CommandHistory.prototype.add = function (line) {
+  var self = STATE.get(this);
+  this.reset();
+
+  if (self.ignoreBlank && typeof line === "string" && isBlank(line)) return false;
+  return self.history.commit(line);
+};
+
+/**
+ * @description
+ * Moves to the previous entry and returns it. When moving away from the draft,
+ * the draft is saved and the newest entry is returned. Stays at the oldest entry.
+ *
+ * @param {string} [draft] - Line that is being typed, saved when moving away from the draft
+ */
+CommandHistory.prototype.moveBackward = function (draft) {
+  var self = STATE.get(this);
+  var history = self.history;
+  self.query = null;
+
+  if (!self.navigating) {
+    saveDraft(self, draft);
+    if (history.size === 0) return self.draft;
+
+    history.goToEnd();
+    self.navigating = true;
+  } else if (history.position > 0) {
+    history.moveBackward();
+  }
+
+  return history.current();
+};
+
+/**
+ * @description
+ * Moves to the next entry and returns it. Moving forward past the newest entry
+ * returns the draft.
+ */
+CommandHistory.prototype.moveForward = function () {
+  var self = STATE.get(this);
+  var history = self.history;
+  self.query = null;
+
+  if (!self.navigating) return self.draft;
+
+  if (!canMoveForward(history)) {
+    self.navigating = false;
+    return self.draft;
+  }
+
+  history.moveForward();
+  return history.current();
+};
+
+/**
+ * @description
+ * Searches for an older entry that matches the query (like Ctrl-R in readline) and moves to it.
+ * Calling it again with the same query moves to the next older match.
+ * Returns the entry or FLAGS.empty if there is no match.
+ *
+ * @param {string} query - Text to search for
+ * @param {object} [options] - Search options
+ * @param {string} [options.mode] - "substring" (default) or "prefix"
+ * @param {string} [options.draft] - Line that is being typed, saved when moving away from the draft
+ */
+CommandHistory.prototype.searchBackward = function (query, options = {}) {
+  return search(STATE.get(this), query, options, "backward");
+};
+
+/**
+ * @description
+ * Searches for a newer entry that matches the query (like Ctrl-S in readline) and moves to it.
+ * Returns the entry or FLAGS.empty if there is no match.
+ *
+ * @param {string} query - Text to search for
+ * @param {object} [options] - Search options, see searchBackward
+ */
+CommandHistory.prototype.searchForward = function (query, options = {}) {
+  return search(STATE.get(this), query, options, "forward");
+};
+
+/**
+ * @description
+ * Returns the current line, which is either the browsed entry or the draft.
+ */
+CommandHistory.prototype.current = function () {
+  var self = STATE.get(this);
+  return self.navigating ? self.history.current() : self.draft;
+};
+
+/**
+ * @description
+ * Stops browsing the entries and discards the draft, like Ctrl-C in a shell.
+ */
+CommandHistory.prototype.reset = function () {
+  var self = STATE.get(this);
+  self.history.goToEnd();
+  self.navigating = false;
+  self.draft = "";
+  self.query = null;
+};
+
+CommandHistory.prototype.clear = function () {
+  this.reset();
+  STATE.get(this).history.clear();
+};
+
+/**
+ * @description
+ * Iterates over the entries from the oldest one to the newest one.
+ */
+CommandHistory.prototype[Symbol.iterator] = function () {
+  return STATE.get(this).history[Symbol.iterator]();
+};
+
+Object.defineProperties(CommandHistory.prototype, {
+  /**
+   * @description
+   * Amount of entries.
+   */
+  size: {
+    get() {
+      return STATE.get(this).history.size;
+    },
+  },
+
+  draft: {
+    get() {
+      return STATE.get(this).draft;
+    },
+  },
+
+  navigating: {
+    get() {
+      return STATE.get(this).navigating;
+    },
+  },
+
+  /**
+   * @description
+   * Underlying history, e.g. to serialize the entries. It should not be navigated directly.
+   */
+  history: {
+    get() {
+      return STATE.get(this).history;
+    },
+  },
+});
+
+CommandHistory.FLAGS = FLAGS;
+
+export { CommandHistory };
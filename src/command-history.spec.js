@@ -0,0 +1,104 @@
+import { test, describe, expect } from "vitest";
+import { CommandHistory } from "./command-history.js";
+
+var create = (lines, options) => {
+  var commands = new CommandHistory(5, options);
+  lines.forEach((line) => commands.add(line));
+  return commands;
+};
+
+describe("CommandHistory", () => {
+  test("should cycle through the entries and restore the draft", () => {
+    var commands = create(["ls", "cd src", "git status"]);
+
+    expect(commands.moveBackward("git co")).toBe("git status");
+    expect(commands.moveBackward()).toBe("cd src");
+    expect(commands.moveBackward()).toBe("ls");
+    expect(commands.moveBackward()).toBe("ls");
+    expect(commands.moveForward()).toBe("cd src");
+    expect(commands.moveForward()).toBe("git status");
+    expect(commands.moveForward()).toBe("git co");
+    expect(commands.navigating).toBe(false);
+    expect(commands.moveForward()).toBe("git co");
+    expect(commands.current()).toBe("git co");
+  });
+
+  test("should append entries to the end and start a new draft", () => {
+    var commands = create(["a", "b", "c"]);
+    commands.moveBackward("draft");
+    commands.moveBackward();
+
+    expect(commands.add("d")).toBe(true);
+    expect([...commands]).toEqual(["a", "b", "c", "d"]);
+    expect(commands.current()).toBe("");
+    expect(commands.moveBackward()).toBe("d");
+  });
+
+  test("should keep the draft if there are no entries", () => {
+    var commands = new CommandHistory(5);
+
+    expect(commands.moveBackward("draft")).toBe("draft");
+    expect(commands.navigating).toBe(false);
+    expect(commands.moveForward()).toBe("draft");
+  });
+
+  test("should keep the most recent entries", () => {
+    var commands = create(["1", "2", "3", "4", "5", "6", "7"]);
+
+    expect([...commands]).toEqual(["3", "4", "5", "6", "7"]);
+    commands.moveBackward();
+    commands.moveBackward();
+    commands.moveBackward();
+    commands.moveBackward();
+    expect(commands.moveBackward()).toBe("3");
+    expect(commands.moveBackward()).toBe("3");
+  });
+
+  test("should ignore duplicates and blank lines", () => {
+    var commands = create(["ls", "ls", " ", "", "pwd", "ls"], {
+      ignoreDuplicates: true,
+      ignoreBlank: true,
+    });
+
+    expect([...commands]).toEqual(["ls", "pwd", "ls"]);
+    expect(create(["ls", "ls", " "]).size).toBe(3);
+  });
+
+  test("should search backward incrementally", () => {
+    var commands = create(["git status", "ls", "git commit", "npm test", "git push"]);
+
+    expect(commands.searchBackward("g", { draft: "typing" })).toBe("git push");
+    expect(commands.searchBackward("git c")).toBe("git commit");
+    expect(commands.searchBackward("git c")).toBe(CommandHistory.FLAGS.empty);
+    expect(commands.current()).toBe("git commit");
+    expect(commands.searchBackward("git")).toBe("git commit");
+    expect(commands.searchBackward("git")).toBe("git status");
+    expect(commands.searchForward("git")).toBe("git commit");
+    expect(commands.searchForward("git")).toBe("git push");
+    expect(commands.searchForward("git")).toBe(CommandHistory.FLAGS.empty);
+
+    commands.moveForward();
+    expect(commands.current()).toBe("typing");
+  });
+
+  test("should search by prefix", () => {
+    var commands = create(["cat a", "echo cat", "cat b"]);
+
+    expect(commands.searchBackward("cat", { mode: "prefix" })).toBe("cat b");
+    expect(commands.searchBackward("cat", { mode: "prefix" })).toBe("cat a");
+    expect(() => commands.searchBackward("cat", { mode: "regex" })).toThrowError(/Search mode/);
+  });
+
+  test("should discard the draft on reset", () => {
+    var commands = create(["a"]);
+    commands.moveBackward("draft");
+    commands.reset();
+
+    expect(commands.current()).toBe("");
+    expect(commands.moveBackward()).toBe("a");
+
+    commands.clear();
+    expect(commands.size).toBe(0);
+    expect(commands.current()).toBe("");
+  });
+});
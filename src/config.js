@@ -0,0 +1,15 @@
+/**
+ * @description
+ * List of data types that are allowed to be stored in the items.
+ * All items should be of the same data type.
+ */
+export var ALLOWED_DATA_TYPES = ["number", "string", "bigint", "boolean", "symbol", "object"];
+
+/**
+ * @description
+ * List of values that can be returned by the history methods
+ */
+export var FLAGS = {
+  empty: Symbol("empty"),
+  pending: Symbol("pending"),
+};
@@ -0,0 +1,216 @@
+import { isPlainObject } from "./utils.js";
+
+/**
+ * #Utils
+ */
+
+var isSameContainer = (a, b) =>
+  (Array.isArray(a) && Array.isArray(b)) || (isPlainObject(a) && isPlainObject(b));
+
+/**
+ * @description
+ * Defines the property instead of assigning it, so a "__proto__" key is set as an own
+ * property rather than changing the prototype. Array keys are indices and "length",
+ * which can be assigned safely ("length" can't be redefined as configurable).
+ */
+var setProperty = (target, key, value) => {
+  if (Array.isArray(target)) {
+    target[key] = value;
+    return;
+  }
+
+  Object.defineProperty(target, key, {
+    value: value,
+    writable: true,
+    enumerable: true,
+    configurable: true,
+  });
+};
+
+var shallowCopy = (value) => {
+  if (Array.isArray(value)) return value.slice();
+  var result = Object.create(Object.getPrototypeOf(value));
+
+  Reflect.ownKeys(value).forEach((key) => {
+    if (Object.prototype.propertyIsEnumerable.call(value, key))
+      setProperty(result, key, value[key]);
+  });
+
+  return result;
+};
+
+/**
+ * #Text
+ *
+ * @description
+ * Text delta is a [start, deleteCount, insertion] tuple that replaces
+ * the part between the common prefix and the common suffix of two strings.
+ */
+
+var textDiff = (prev, next) => {
+  var maxLength = Math.min(prev.length, next.length);
+  var start = 0;
+  var end = 0;
+
+  while (start < maxLength && prev[start] === next[start]) start++;
+
+  while (end < maxLength - start && prev[prev.length - 1 - end] === next[next.length - 1 - end]) {
+    end++;
+  }
+
+  return [start, prev.length - start - end, next.slice(start, next.length - end)];
+};
+
+var textPatch = (prev, delta) =>
+  prev.slice(0, delta[0]) + delta[2] + prev.slice(delta[0] + delta[1]);
+
+/**
+ * #Structural
+ *
+ * @description
+ * Structural delta is a list of operations for plain objects and arrays.
+ * [path, value] sets the value at the path and [path] deletes the property.
+ * Any other values (including Dates, Maps, class instances) are compared by reference
+ * and replaced as a whole.
+ */
+
+var diffValue = (prev, next, path, operations) => {
+  if (Object.is(prev, next)) return;
+
+  if (!isSameContainer(prev, next)) {
+    operations.push([path, next]);
+    return;
+  }
+
+  if (Array.isArray(next)) {
+    var sharedLength = Math.min(prev.length, next.length);
+
+    for (var index = 0; index < next.length; index++) {
+      if (index < sharedLength) diffValue(prev[index], next[index], path.concat(index), operations);
+      else operations.push([path.concat(index), next[index]]);
+    }
+
+    if (next.length < prev.length) operations.push([path.concat("length"), next.length]);
+    return;
+  }
+
+  Object.keys(prev).forEach((key) => {
+    if (!Object.hasOwn(next, key)) operations.push([path.concat(key)]);
+  });
+
+  Object.keys(next).forEach((key) => {
+    if (Object.hasOwn(prev, key)) diffValue(prev[key], next[key], path.concat(key), operations);
+    else operations.push([path.concat(key), next[key]]);
+  });
+};
+
+var structuralDiff = (prev, next) => {
+  if (!isSameContainer(prev, next)) return undefined;
+  var operations = [];
+  diffValue(prev, next, [], operations);
+  return operations;
+};
+
+/**
+ * @description
+ * Applies operations without mutating the previous value. Only the containers
+ * along the changed paths are copied, the rest is shared with the previous value.
+ */
+var structuralPatch = (prev, delta) => {
+  var copies = new Set();
+
+  var copy = (value) => {
+    var result = shallowCopy(value);
+    copies.add(result);
+    return result;
+  };
+
+  var root = copy(prev);
+
+  delta.forEach((operation) => {
+    var path = operation[0];
+    var target = root;
+
+    for (var index = 0; index < path.length - 1; index++) {
+      var key = path[index];
+      if (!copies.has(target[key])) setProperty(target, key, copy(target[key]));
+      target = target[key];
+    }
+
+    var lastKey = path[path.length - 1];
+    if (operation.length === 1) delete target[lastKey];
+    else setProperty(target, lastKey, operation[1]);
+  });
+
+  return root;
+};
+
+/**
+ * #Defaults
+ */
+
+/**
+ * @description
+ * Uses text deltas for strings and structural deltas for plain objects and arrays.
+ * Returns undefined for anything else, which makes the item to be stored as a keyframe.
+ */
+var autoDiff = (prev, next) => {
+  if (typeof prev === "string" && typeof next === "string") return textDiff(prev, next);
+  return structuralDiff(prev, next);
+};
+
+var autoPatch = (prev, delta) =>
+  typeof prev === "string" ? textPatch(prev, delta) : structuralPatch(prev, delta);
+
+/**
+ * @description
+ * Built-in diff/patch pairs. diff returns a delta or undefined if the item
+ * should be stored as a whole, and patch applies the delta to the previous item
+ * without mutating it.
+ */
+export var DELTAS = {
+  auto: { diff: autoDiff, patch: autoPatch },
+  text: { diff: textDiff, patch: textPatch },
+  structural: { diff: structuralDiff, patch: structuralPatch },
+};
+
+export var DEFAULT_KEYFRAME_INTERVAL = 10;
+
+/**
+ * @description
+ * Validates the delta option of the CircularHistory constructor.
+ * Returns null if delta storage is disabled.
+ *
+ * @param {boolean|object} [delta] - true to use the defaults or { keyframeInterval, diff, patch }
+ */
+export var resolveDelta = (delta) => {
+  if (delta === undefined || delta === false) return null;
+  var config = delta === true ? {} : delta;
+
+  if (typeof config !== "object" || config === null) {
+    throw new Error(`Delta option must be a boolean or an object. Got "${String(delta)}".`);
+  }
+
+  var keyframeInterval = config.keyframeInterval ?? DEFAULT_KEYFRAME_INTERVAL;
+
+  if (!Number.isInteger(keyframeInterval) || keyframeInterval <= 0) {
+    throw new Error(`Keyframe interval must be a positive integer. Got "${keyframeInterval}".`);
+  }
+
+  if ((config.diff === undefined) !== (config.patch === undefined)) {
+    throw new Error(`Delta diff and patch functions must be provided together.`);
+  }
+
+  if (
+    config.diff !== undefined &&
+    (typeof config.diff !== "function" || typeof config.patch !== "function")
+  ) {
+    throw new Error(`Delta diff and patch must be functions.`);
+  }
+
+  return {
+    keyframeInterval: keyframeInterval,
+    diff: config.diff ?? DELTAS.auto.diff,
+    patch: config.patch ?? DELTAS.auto.patch,
+  };
+};
@@ -0,0 +1,71 @@
+import { test, describe, expect } from "vitest";
+import { DELTAS, resolveDelta } from "./delta.js";
+
+describe("delta", () => {
+  test("should diff and patch text", () => {
+    var { diff, patch } = DELTAS.text;
+    var prev = "The quick brown fox";
+    var next = "The quick red fox";
+
+    expect(diff(prev, next)).toEqual([10, 5, "red"]);
+    expect(patch(prev, diff(prev, next))).toBe(next);
+    expect(patch("", diff("", "abc"))).toBe("abc");
+    expect(patch("aaa", diff("aaa", "aa"))).toBe("aa");
+  });
+
+  test("should diff and patch plain objects and arrays", () => {
+    var { diff, patch } = DELTAS.structural;
+    var date = new Date(0);
+    var prev = { name: "layer", shapes: [{ x: 1 }, { x: 2 }, { x: 3 }], hidden: true };
+    var next = { name: "layer", shapes: [{ x: 1 }, { x: 5 }], date: date };
+
+    expect(diff(prev, next)).toEqual([
+      [["hidden"]],
+      [["shapes", 1, "x"], 5],
+      [["shapes", "length"], 2],
+      [["date"], date],
+    ]);
+
+    var patched = patch(prev, diff(prev, next));
+    expect(patched).toEqual(next);
+    expect(patched.date).toBe(date);
+    expect(patched.shapes[0]).toBe(prev.shapes[0]);
+    expect(prev.shapes).toHaveLength(3);
+    expect(prev.shapes[1].x).toBe(2);
+  });
+
+  test("should patch a __proto__ key as an own property", () => {
+    var { diff, patch } = DELTAS.structural;
+    var prev = JSON.parse('{ "name": "layer", "nested": { "__proto__": { "x": 1 } } }');
+    var next = JSON.parse(
+      '{ "name": "shape", "nested": { "__proto__": { "x": 2 } }, "__proto__": { "polluted": true } }',
+    );
+
+    var patched = patch(prev, diff(prev, next));
+
+    expect(Object.getPrototypeOf(patched)).toBe(Object.prototype);
+    expect(Object.getPrototypeOf(patched.nested)).toBe(Object.prototype);
+    expect(Object.hasOwn(patched, "__proto__")).toBe(true);
+    expect(patched.polluted).toBeUndefined();
+    expect(patched.name).toBe("shape");
+    expect(Object.getOwnPropertyDescriptor(patched.nested, "__proto__").value).toEqual({ x: 2 });
+    expect(Object.getOwnPropertyDescriptor(prev.nested, "__proto__").value).toEqual({ x: 1 });
+  });
+
+  test("should not diff different containers", () => {
+    expect(DELTAS.structural.diff([], {})).toBeUndefined();
+    expect(DELTAS.auto.diff(1, 2)).toBeUndefined();
+    expect(DELTAS.auto.diff(new Map(), new Map())).toBeUndefined();
+  });
+
+  test("should resolve delta options", () => {
+    expect(resolveDelta(undefined)).toBeNull();
+    expect(resolveDelta(false)).toBeNull();
+    expect(resolveDelta(true).keyframeInterval).toBe(10);
+    expect(resolveDelta({ keyframeInterval: 3 }).keyframeInterval).toBe(3);
+    expect(() => resolveDelta({ keyframeInterval: 0 })).toThrow();
+    expect(() => resolveDelta({ diff: () => {} })).toThrow();
+    expect(() => resolveDelta({ diff: 1, patch: 2 })).toThrow();
+    expect(() => resolveDelta("yes")).toThrow();
+  });
+});
@@ -0,0 +1,132 @@
+import { isPlainObject } from "./utils.js";
+
+/**
+ * #Utils
+ */
+
+var isContainer = (value) => Array.isArray(value) || isPlainObject(value);
+
+var haveSameShape = (a, b) =>
+  Array.isArray(a) === Array.isArray(b) &&
+  Object.getPrototypeOf(a) === Object.getPrototypeOf(b) &&
+  Object.keys(a).length === Object.keys(b).length;
+
+/**
+ * @description
+ * Compares own enumerable properties of two arrays or plain objects with the compare function.
+ */
+var compareProperties = (a, b, compare) =>
+  haveSameShape(a, b) &&
+  Object.keys(a).every((key) => Object.hasOwn(b, key) && compare(a[key], b[key]));
+
+/**
+ * #Comparators
+ */
+
+var strictEquals = (a, b) => Object.is(a, b);
+
+var shallowEquals = (a, b) =>
+  Object.is(a, b) || (isContainer(a) && isContainer(b) && compareProperties(a, b, Object.is));
+
+/**
+ * @description
+ * Returns true if the pair is being compared already further up the recursion, so cyclic
+ * structures are assumed to be equal instead of being compared endlessly.
+ */
+var isComparing = (comparing, a, b) => comparing.get(a)?.has(b) === true;
+
+var markComparing = (comparing, a, b) => {
+  if (comparing.has(a)) comparing.get(a).add(b);
+  else comparing.set(a, new Set([b]));
+};
+
+var compareMaps = (a, b, compare) =>
+  a.size === b.size && [...a].every(([key, value]) => b.has(key) && compare(value, b.get(key)));
+
+var isObject = (value) => typeof value === "object" && value !== null;
+
+/**
+ * @description
+ * Members of both sets match themselves. The other objects are matched with the members
+ * of the other set that haven't been matched with another member yet.
+ */
+var compareSets = (a, b, compare) => {
+  if (a.size !== b.size) return false;
+  var unmatched = [...b].filter((value) => isObject(value) && !a.has(value));
+
+  return [...a].every((value) => {
+    if (b.has(value)) return true;
+    if (!isObject(value)) return false;
+
+    var index = unmatched.findIndex((other) => compare(value, other));
+    if (index === -1) return false;
+
+    unmatched.splice(index, 1);
+    return true;
+  });
+};
+
+/**
+ * @description
+ * Compares plain objects, arrays, Maps and Sets recursively and Dates by their time.
+ * Map keys are compared by reference. Any other objects (like class instances)
+ * are compared by reference. Cyclic structures are supported.
+ */
+var deepEquals = (a, b, comparing = new WeakMap()) => {
+  if (Object.is(a, b)) return true;
+
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+
+  var isMap = a instanceof Map && b instanceof Map;
+  var isSet = a instanceof Set && b instanceof Set;
+  if (!isMap && !isSet && !(isContainer(a) && isContainer(b))) return false;
+  if (isComparing(comparing, a, b)) return true;
+
+  var compare = (x, y) => deepEquals(x, y, comparing);
+  markComparing(comparing, a, b);
+
+  var result = isMap
+    ? compareMaps(a, b, compare)
+    : isSet
+      ? compareSets(a, b, compare)
+      : compareProperties(a, b, compare);
+
+  /**
+   * @description
+   *
+   * The pair is unmarked once it has been compared, since a Set tries several members
+   * and a failed attempt must not make a later comparison of the same pair pass.
+   */
+  comparing.get(a).delete(b);
+  return result;
+};
+
+/**
+ * @description
+ * Built-in comparators for the equals option.
+ */
+export var EQUALITY = {
+  strict: strictEquals,
+  shallow: shallowEquals,
+  deep: deepEquals,
+};
+
+/**
+ * @description
+ * Validates the equals option of the CircularHistory constructor.
+ * Returns null if commits are never compared with the current item.
+ *
+ * @param {string|Function} [equals] - "strict", "shallow", "deep" or a comparator function
+ */
+export var resolveEquals = (equals) => {
+  if (equals === undefined) return null;
+  if (typeof equals === "function") return equals;
+
+  if (!Object.hasOwn(EQUALITY, equals)) {
+    throw new Error(
+      `Equals option must be a function or one of: ${Object.keys(EQUALITY).join(", ")}. Got "${String(equals)}".`,
+    );
+  }
+
+  return EQUALITY[equals];
+};
@@ -0,0 +1,70 @@
+import { test, describe, expect } from "vitest";
+import { EQUALITY, resolveEquals } from "./equality.js";
+
+describe("equality", () => {
+  test("should compare strictly", () => {
+    expect(EQUALITY.strict(NaN, NaN)).toBe(true);
+    expect(EQUALITY.strict({}, {})).toBe(false);
+  });
+
+  test("should compare one level deep", () => {
+    var shared = { x: 1 };
+
+    expect(EQUALITY.shallow({ a: 1, b: shared }, { a: 1, b: shared })).toBe(true);
+    expect(EQUALITY.shallow([1, 2], [1, 2])).toBe(true);
+    expect(EQUALITY.shallow({ b: { x: 1 } }, { b: { x: 1 } })).toBe(false);
+    expect(EQUALITY.shallow({ a: 1 }, { a: 1, b: undefined })).toBe(false);
+    expect(EQUALITY.shallow([1], { 0: 1 })).toBe(false);
+  });
+
+  test("should compare plain objects, arrays and dates deeply", () => {
+    var a = { layers: [{ id: 1, at: new Date(0) }], name: "a" };
+    var b = { name: "a", layers: [{ id: 1, at: new Date(0) }] };
+
+    expect(EQUALITY.deep(a, b)).toBe(true);
+    expect(EQUALITY.deep(a, { ...b, layers: [] })).toBe(false);
+    expect(EQUALITY.deep(new Date(0), { getTime: () => 0 })).toBe(false);
+  });
+
+  test("should compare Maps and Sets deeply", () => {
+    var key = { id: 1 };
+
+    expect(EQUALITY.deep(new Map([[key, { x: 1 }]]), new Map([[key, { x: 1 }]]))).toBe(true);
+    expect(EQUALITY.deep(new Map([[key, { x: 1 }]]), new Map([[key, { x: 2 }]]))).toBe(false);
+    expect(EQUALITY.deep(new Map([[{ id: 1 }, 1]]), new Map([[{ id: 1 }, 1]]))).toBe(false);
+    expect(EQUALITY.deep(new Set([1, { x: [1] }]), new Set([{ x: [1] }, 1]))).toBe(true);
+    expect(EQUALITY.deep(new Set([1, 2]), new Set([1, 3]))).toBe(false);
+    expect(EQUALITY.deep(new Set([{ x: 1 }, { x: 1 }]), new Set([{ x: 1 }, { y: 2 }]))).toBe(false);
+    expect(EQUALITY.deep(new Set([{ x: 1 }, { x: 1 }]), new Set([{ x: 1 }, { x: 1 }]))).toBe(true);
+    expect(EQUALITY.deep(new Set(), new Map())).toBe(false);
+    expect(EQUALITY.deep({ tags: new Set(["a"]) }, { tags: new Set(["a"]) })).toBe(true);
+  });
+
+  test("should compare cyclic structures", () => {
+    var createNode = (value) => {
+      var node = { value: value, children: [] };
+      node.children.push({ parent: node });
+      node.self = node;
+      return node;
+    };
+
+    expect(EQUALITY.deep(createNode(1), createNode(1))).toBe(true);
+    expect(EQUALITY.deep(createNode(1), createNode(2))).toBe(false);
+
+    var first = { x: 1 };
+    var second = { x: 2 };
+    expect(EQUALITY.deep(new Set([first, second]), new Set([{ x: 2 }, { x: 1 }]))).toBe(true);
+    expect(EQUALITY.deep([new Set([first]), first], [new Set([second]), second])).toBe(false);
+  });
+
+  test("should resolve the equals option", () => {
+    var compare = () => true;
+
+    expect(resolveEquals(undefined)).toBe(null);
+    expect(resolveEquals("deep")).toBe(EQUALITY.deep);
+    expect(resolveEquals(compare)).toBe(compare);
+    expect(() => resolveEquals("loose")).toThrowError(
+      'Equals option must be a function or one of: strict, shallow, deep. Got "loose".',
+    );
+  });
+});
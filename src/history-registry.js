@@ -0,0 +1,305 @@
+import { CircularHistory, canMoveBackward } from "./circular-history.js";
+import { estimateSize } from "./size.js";
+
+/**
+ * #Utils
+ */
+
+var isLimit = (value) => typeof value === "number" && value > 0;
+
+var assertLimit = (value, name) => {
+  if (value !== undefined && !isLimit(value)) {
+    throw new Error(`${name} must be a positive number. Got "${String(value)}".`);
+  }
+};
+
+/**
+ * #State
+ *
+ * @description
+ * Using WeakMap to store private state in order to not expose private properties.
+ */
+var STATE = new WeakMap();
+
+/**
+ * @description
+ * Moves the entry to the end of the histories map, which is ordered
+ * from the least recently used history to the most recently used one.
+ */
+var touch = (self, key) => {
+  var entry = self.histories.get(key);
+  self.histories.delete(key);
+  self.histories.set(key, entry);
+};
+
+var getTotal = (self, property) => {
+  var total = 0;
+  self.histories.forEach((entry) => (total += entry.history[property]));
+  return total;
+};
+
+/**
+ * @description
+ * Sizes are only summed up if there is a byte budget, since histories measure
+ * their items on every access otherwise (see create).
+ */
+var isOverBudget = (self) =>
+  getTotal(self, "size") > self.maxEntries ||
+  (self.maxBytes !== Infinity && getTotal(self, "bytes") > self.maxBytes);
+
+/**
+ * @description
+ * Evicts the oldest items of the least recently used histories until the totals fit
+ * into the budget. The last item of the most recently used history is never evicted,
+ * since it has just been committed.
+ */
+var enforceBudget = (self) => {
+  var entries = [...self.histories.values()];
+  var mostRecent = entries[entries.length - 1];
+
+  for (var entry of entries) {
+    var minSize = entry === mostRecent ? 1 : 0;
+
+    while (entry.history.size > minSize && isOverBudget(self)) {
+      entry.history.evictOldest();
+    }
+
+    if (!isOverBudget(self)) return;
+  }
+};
+
+/**
+ * @description
+ * Removes records of the items that are no longer available for navigation.
+ * Called when the log gets twice as long as the total amount of items.
+ */
+var compactLog = (self) => {
+  if (self.log.length <= getTotal(self, "size") * 2) return;
+
+  self.log = self.log.filter((record) => {
+    var entry = self.histories.get(record.key);
+    return entry !== undefined && entry.history.positionOf(record.id) !== -1;
+  });
+};
+
+/**
+ * @description
+ * Resolving a lazy item and changing the capacity change the size of the history
+ * as well, but they don't count as using it.
+ */
+var handleEvent = (self, key, event) => {
+  if (!["commit", "replace", "move", "resolve", "resize"].includes(event.type)) return;
+
+  var history = self.histories.get(key).history;
+  if (["commit", "replace", "move"].includes(event.type)) touch(self, key);
+
+  if (event.type === "move") return;
+
+  if (event.type === "commit") {
+    self.log.push({ key: key, id: history.currentMeta().id });
+    self.redoLog = [];
+  }
+
+  enforceBudget(self);
+  compactLog(self);
+};
+
+/**
+ * @description
+ *
+ * History Registry
+ *
+ * Creates CircularHistory instances by key and enforces a global budget across all of them.
+ * When the total amount of items (or their total size) exceeds the budget, the oldest items
+ * of the least recently used histories are evicted first. A history is used when something
+ * is committed to it, when it's moved, or when it's accessed with the get method.
+ * Commits are also tracked across the histories, so they can be undone in the order
+ * they have been made with the undo and redo methods.
+ *
+ * @param {object} [options] - Registry options
+ * @param {number} [options.maxEntries] - Maximum total amount of items
+ * @param {number} [options.maxBytes] - Maximum total size of the items in bytes
+ * @param {Function} [options.sizeOf] - Returns the size of the item in bytes, see estimateSize
+ */
+function HistoryRegistry(options = {}) {
+  assertLimit(options.maxEntries, "maxEntries");
+  assertLimit(options.maxBytes, "maxBytes");
+
+  STATE.set(this, {
+    /**
+     * Map of key to { history, unsubscribe }, ordered from the least recently used history.
+     */
+    histories: new Map(),
+
+    /**
+     * Records { key, id } of the committed items in the order they have been committed.
+     */
+    log: [],
+
+    /**
+     * Records of the items that have been undone with the undo method, the last one is redone first.
+     */
+    redoLog: [],
+
+    maxEntries: options.maxEntries ?? Infinity,
+    maxBytes: options.maxBytes ?? Infinity,
+    sizeOf: options.sizeOf ?? estimateSize,
+  });
+}
+
+/**
+ * @description
+ * Creates a history for the key. Throws if the key is already taken.
+ * If the registry has a byte budget, the size of the items is measured
+ * with the sizeOf option of the registry unless it's passed in the options.
+ *
+ * @param {*} key - Key of the history, like a document id
+ * @param {number} capacity - Maximum amount of items in the history
+ * @param {string|object|Function} dataType - Data type of each item
+ * @param {object} [options] - Options passed to CircularHistory
+ */
+HistoryRegistry.prototype.create = function (key, capacity, dataType, options = {}) {
+  var self = STATE.get(this);
+
+  if (self.histories.has(key)) {
+    throw new Error(`History "${String(key)}" already exists.`);
+  }
+
+  var history = new CircularHistory(
+    capacity,
+    dataType,
+    self.maxBytes === Infinity ? options : { sizeOf: self.sizeOf, ...options },
+  );
+
+  var unsubscribe = history.subscribe((event) => handleEvent(self, key, event));
+  self.histories.set(key, { history: history, unsubscribe: unsubscribe });
+
+  return history;
+};
+
+/**
+ * @description
+ * Returns the history for the key or undefined. Marks the history as recently used.
+ *
+ * @param {*} key - Key of the history
+ */
+HistoryRegistry.prototype.get = function (key) {
+  var self = STATE.get(this);
+  if (!self.histories.has(key)) return undefined;
+  touch(self, key);
+  return self.histories.get(key).history;
+};
+
+HistoryRegistry.prototype.has = function (key) {
+  return STATE.get(this).histories.has(key);
+};
+
+/**
+ * @description
+ * Returns the keys ordered from the least recently used history to the most recently used one.
+ */
+HistoryRegistry.prototype.keys = function () {
+  return [...STATE.get(this).histories.keys()];
+};
+
+/**
+ * @description
+ * Removes the history, e.g. when its document gets closed. The history stops being
+ * tracked by the registry but keeps working on its own. Returns false if there was no history.
+ *
+ * @param {*} key - Key of the history
+ */
+HistoryRegistry.prototype.dispose = function (key) {
+  var self = STATE.get(this);
+  var entry = self.histories.get(key);
+  if (!entry) return false;
+
+  entry.unsubscribe();
+  self.histories.delete(key);
+  self.log = self.log.filter((record) => record.key !== key);
+  self.redoLog = self.redoLog.filter((record) => record.key !== key);
+
+  return true;
+};
+
+/**
+ * @description
+ * Moves backward the history that has the most recent commit, as long as that item is still
+ * its current one. Items that have been moved away from, evicted or disposed are skipped.
+ * Returns the key of the history that has been moved or undefined if there is nothing to undo.
+ */
+HistoryRegistry.prototype.undo = function () {
+  var self = STATE.get(this);
+
+  while (self.log.length > 0) {
+    var record = self.log.pop();
+    var history = self.histories.get(record.key)?.history;
+    var meta = history?.currentMeta();
+
+    if (meta?.id === record.id && canMoveBackward(history)) {
+      history.moveBackward();
+      self.redoLog.push(record);
+      return record.key;
+    }
+  }
+
+  return undefined;
+};
+
+/**
+ * @description
+ * Moves forward the history that has been moved backward by the last undo call,
+ * as long as the undone item is still the next one. Returns the key of the history
+ * that has been moved or undefined if there is nothing to redo.
+ */
+HistoryRegistry.prototype.redo = function () {
+  var self = STATE.get(this);
+
+  while (self.redoLog.length > 0) {
+    var record = self.redoLog.pop();
+    var history = self.histories.get(record.key)?.history;
+    var position = history ? history.positionOf(record.id) : -1;
+
+    if (position !== -1 && position === history.position + 1) {
+      history.moveForward();
+      self.log.push(record);
+      return record.key;
+    }
+  }
+
+  return undefined;
+};
+
+Object.defineProperties(HistoryRegistry.prototype, {
+  /**
+   * @description
+   * Amount of histories.
+   */
+  size: {
+    get() {
+      return STATE.get(this).histories.size;
+    },
+  },
+
+  /**
+   * @description
+   * Total amount of items available for navigation across all histories.
+   */
+  totalEntries: {
+    get() {
+      return getTotal(STATE.get(this), "size");
+    },
+  },
+
+  /**
+   * @description
+   * Total size of the items available for navigation across all histories in bytes.
+   */
+  totalBytes: {
+    get() {
+      return getTotal(STATE.get(this), "bytes");
+    },
+  },
+});
+
+export { HistoryRegistry };
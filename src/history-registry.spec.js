@@ -0,0 +1,123 @@
+import { test, describe, expect } from "vitest";
+import { HistoryRegistry } from "./history-registry.js";
+import { CircularHistory } from "./circular-history.js";
+
+describe("HistoryRegistry", () => {
+  test("should create, look up and dispose histories by key", () => {
+    var registry = new HistoryRegistry();
+    var history = registry.create("doc", 5, "number");
+
+    expect(registry.get("doc")).toBe(history);
+    expect(registry.has("doc")).toBe(true);
+    expect(registry.get("other")).toBe(undefined);
+    expect(() => registry.create("doc", 5, "number")).toThrowError('History "doc" already exists.');
+
+    expect(registry.dispose("doc")).toBe(true);
+    expect(registry.dispose("doc")).toBe(false);
+    expect(registry.size).toBe(0);
+  });
+
+  test("should evict from the least recently used histories first", () => {
+    var registry = new HistoryRegistry({ maxEntries: 4 });
+    var a = registry.create("a", 10, "number");
+    var b = registry.create("b", 10, "number");
+    var c = registry.create("c", 10, "number");
+
+    a.commit(1);
+    a.commit(2);
+    b.commit(1);
+    c.commit(1);
+    registry.get("a");
+    b.commit(2);
+
+    expect(c.size).toBe(0);
+    expect([...a]).toEqual([1, 2]);
+    expect([...b]).toEqual([1, 2]);
+    expect(registry.keys()).toEqual(["c", "a", "b"]);
+
+    b.commit(3);
+    expect([...a]).toEqual([2]);
+    expect(registry.totalEntries).toBe(4);
+  });
+
+  test("should enforce the byte budget", () => {
+    var registry = new HistoryRegistry({ maxBytes: 10 });
+    var a = registry.create("a", 10, "string");
+    var b = registry.create("b", 10, "string");
+
+    a.commit("aa");
+    a.commit("bb");
+    b.commit("ccc");
+
+    expect([...a]).toEqual(["bb"]);
+    expect(registry.totalBytes).toBe(10);
+
+    b.commit("dddddd");
+    expect(a.size).toBe(0);
+    expect([...b]).toEqual(["dddddd"]);
+  });
+
+  test("should enforce the byte budget when a lazy item resolves", async () => {
+    var registry = new HistoryRegistry({ maxBytes: 10 });
+    var a = registry.create("a", 10, "string");
+    var b = registry.create("b", 10, "string");
+
+    a.commit("aa");
+    b.commit(() => "cccc", {}, { lazy: true });
+    expect(registry.totalBytes).toBe(4);
+
+    expect(await b.currentAsync()).toBe("cccc");
+    expect(a.size).toBe(0);
+    expect(registry.totalBytes).toBe(8);
+  });
+
+  test("should not track disposed histories", () => {
+    var registry = new HistoryRegistry({ maxEntries: 1 });
+    var a = registry.create("a", 10, "number");
+    registry.dispose("a");
+    registry.create("b", 10, "number").commit(1);
+    a.commit(1);
+    a.commit(2);
+
+    expect(a.size).toBe(2);
+  });
+
+  test("should undo and redo in the order commits happened across histories", () => {
+    var registry = new HistoryRegistry();
+    var a = registry.create("a", 10, "string");
+    var b = registry.create("b", 10, "string");
+
+    a.commit("a1");
+    b.commit("b1");
+    a.commit("a2");
+
+    expect(registry.undo()).toBe("a");
+    expect(registry.undo()).toBe("b");
+    expect(a.current()).toBe("a1");
+    expect(b.current()).toBe(CircularHistory.FLAGS.empty);
+
+    expect(registry.redo()).toBe("b");
+    expect(b.current()).toBe("b1");
+
+    expect(registry.undo()).toBe("b");
+    expect(registry.undo()).toBe("a");
+    expect(registry.undo()).toBe(undefined);
+
+    b.commit("b2");
+    expect(registry.redo()).toBe(undefined);
+  });
+
+  test("should skip items that are no longer current", () => {
+    var registry = new HistoryRegistry();
+    var a = registry.create("a", 10, "string");
+    var b = registry.create("b", 10, "string");
+
+    a.commit("a1");
+    b.commit("b1");
+    b.moveBackward();
+
+    expect(registry.undo()).toBe("a");
+    expect(a.size).toBe(1);
+    expect(registry.undo()).toBe(undefined);
+  });
+});
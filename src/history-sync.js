@@ -0,0 +1,392 @@
+import { assertCommit, emitError, loadState, withoutGuards } from "./circular-history.js";
+
+/**
+ * #Config
+ */
+
+/**
+ * @description
+ * Operations that are synchronized between the peers, as the names of the history methods.
+ */
+var OPERATIONS = ["commit", "moveBackward", "moveForward", "clear"];
+
+/**
+ * @description
+ * Marks the messages of the protocol, so other messages sent over the same transport are ignored.
+ */
+var PROTOCOL = "circular-history-sync";
+
+var IDENTITY_CODEC = {
+  encode: (value) => value,
+  decode: (value) => value,
+};
+
+/**
+ * #Utils
+ */
+
+var createPeerId = () => Math.random().toString(36).slice(2) + Date.now().toString(36);
+
+var isTransport = (transport) =>
+  typeof transport === "object" &&
+  transport !== null &&
+  typeof transport.send === "function" &&
+  typeof transport.subscribe === "function";
+
+var assertTransport = (transport) => {
+  if (!isTransport(transport)) {
+    throw new Error(`Transport must be an object with send and subscribe functions.`);
+  }
+};
+
+var fromPort = (port, close) => ({
+  send: (message) => port.postMessage(message),
+  subscribe: (listener) => {
+    var handler = (event) => listener(event.data);
+    port.addEventListener("message", handler);
+    port.start?.();
+    return () => port.removeEventListener("message", handler);
+  },
+  close: close,
+});
+
+/**
+ * #Transports
+ *
+ * @description
+ * Transport delivers messages between the peers: { send(message), subscribe(listener), close() }
+ * where subscribe returns a function that unsubscribes the listener and close is optional.
+ * Messages are plain objects that survive the structured clone algorithm.
+ */
+export var transports = {
+  /**
+   * @description
+   * Uses a MessagePort, like one end of a MessageChannel shared with a worker.
+   *
+   * @param {MessagePort} port - Port to send and receive the messages through
+   */
+  messagePort: (port) => fromPort(port, () => port.close()),
+
+  /**
+   * @description
+   * Uses a BroadcastChannel, which reaches all peers in the other tabs and workers
+   * of the same origin.
+   *
+   * @param {BroadcastChannel|string} channel - Channel or the name of a new channel
+   */
+  broadcastChannel: (channel) => {
+    var instance = typeof channel === "string" ? new BroadcastChannel(channel) : channel;
+    return fromPort(instance, () => instance.close());
+  },
+};
+
+/**
+ * #State
+ *
+ * @description
+ * Using WeakMap to store private state in order to not expose private properties.
+ */
+var STATE = new WeakMap();
+
+var send = (self, message) => {
+  self.transports.forEach((entry) => {
+    entry.transport.send({ protocol: PROTOCOL, ...message });
+  });
+};
+
+/**
+ * @description
+ * Applies the operation to the history. Returns false if it has not changed anything,
+ * so the leader does not broadcast it.
+ */
+var apply = (self, name, args) => {
+  var history = self.history;
+
+  if (name === "commit") {
+    return history.commit(self.codec.decode(args[0]), args[1]);
+  }
+
+  if (name === "clear") {
+    history.clear();
+    return true;
+  }
+
+  return history.go(name === "moveBackward" ? -1 : 1) > 0;
+};
+
+/**
+ * @description
+ * Leader applies the operation and broadcasts it with the next sequence number.
+ * The commit is broadcast with the metadata assigned by the leader, so the followers
+ * end up with the same ids and timestamps.
+ */
+var perform = (self, name, args) => {
+  if (!apply(self, name, args)) return;
+  if (name === "commit") args = [args[0], self.history.currentMeta()];
+  send(self, { type: "operation", seq: ++self.seq, name: name, args: args });
+};
+
+var request = (self, name, args) => {
+  if (self.closed) throw new Error(`Sync has been closed.`);
+  if (self.leader) perform(self, name, args);
+  else send(self, { type: "request", peer: self.peer, name: name, args: args });
+};
+
+/**
+ * @description
+ * Applies the sequenced operations in order. Operations that arrive ahead of time
+ * are kept until the missing ones arrive. They have already been accepted by the leader,
+ * so the guards of the follower's history are not called.
+ */
+var drain = (self) => {
+  while (self.pending.has(self.seq + 1)) {
+    var operation = self.pending.get(++self.seq);
+    self.pending.delete(self.seq);
+    withoutGuards(self.history, () => apply(self, operation.name, operation.args));
+  }
+};
+
+/**
+ * @description
+ * Errors are never thrown from the message listeners, since nothing could catch them there.
+ * They are passed to the onError option or emitted as error events of the history instead.
+ */
+var reportError = (self, error) => {
+  if (self.onError) self.onError(error);
+  else emitError(self.history, error);
+};
+
+var sendSnapshot = (self, peer) => {
+  try {
+    var state = self.history.toJSON(self.codec);
+  } catch (error) {
+    send(self, { type: "reject", peer: peer, message: error.message });
+    return;
+  }
+
+  send(self, { type: "snapshot", peer: peer, seq: self.seq, state: state });
+};
+
+var handleLeaderMessage = (self, message) => {
+  if (message.type === "join") sendSnapshot(self, message.peer);
+
+  if (message.type === "request" && OPERATIONS.includes(message.name)) {
+    try {
+      perform(self, message.name, message.args);
+    } catch (error) {
+      send(self, { type: "reject", peer: message.peer, message: error.message });
+    }
+  }
+};
+
+var handleFollowerMessage = (self, message) => {
+  if (message.type === "leader" && !self.joined) {
+    send(self, { type: "join", peer: self.peer });
+  }
+
+  if (message.type === "snapshot" && message.peer === self.peer && !self.joined) {
+    loadState(self.history, message.state, self.codec);
+    self.seq = message.seq;
+    self.joined = true;
+
+    self.pending.forEach((operation, seq) => {
+      if (seq <= self.seq) self.pending.delete(seq);
+    });
+
+    drain(self);
+    self.resolveReady();
+  }
+
+  if (message.type === "operation") {
+    self.pending.set(message.seq, message);
+    if (self.joined) drain(self);
+  }
+
+  if (message.type === "reject" && message.peer === self.peer) {
+    reportError(self, new Error(`Operation has been rejected by the leader. ${message.message}`));
+  }
+};
+
+var handleMessage = (self, message) => {
+  if (typeof message !== "object" || message === null || message.protocol !== PROTOCOL) return;
+  if (self.closed) return;
+
+  try {
+    if (self.leader) handleLeaderMessage(self, message);
+    else handleFollowerMessage(self, message);
+  } catch (error) {
+    reportError(self, error);
+  }
+};
+
+/**
+ * @description
+ *
+ * History Sync
+ *
+ * Keeps CircularHistory instances in different contexts (tabs, workers) in sync.
+ * One of the peers is the leader that puts the operations (commit, moveBackward,
+ * moveForward and clear) in order and broadcasts them with sequence numbers.
+ * Followers send their operations to the leader and apply the sequenced operations
+ * in the same order, so all peers end up in the same state. A newly joined follower
+ * receives a snapshot of the leader's state before the live operations.
+ *
+ * The operations have to go through the sync instance, and all peers have to create
+ * their histories with the same capacity, data type and options. Guards of the leader's
+ * history (see CircularHistory.prototype.beforeMove) can cancel the operations of all peers,
+ * while the guards of the followers' histories are not called for the synchronized operations.
+ *
+ * @param {CircularHistory} history - History to keep in sync
+ * @param {object} transport - Transport { send, subscribe } (see HistorySync.transports)
+ * @param {object} [options] - Sync options
+ * @param {boolean} [options.leader] - Whether this peer sequences the operations
+ * @param {{ encode: Function, decode: Function }} [options.codec] - Represents the items in messages
+ * @param {Function} [options.onError] - Called with the errors of the rejected operations,
+ * they are emitted as error events of the history otherwise
+ */
+function HistorySync(history, transport, options = {}) {
+  var resolveReady;
+  var ready = new Promise((resolve) => (resolveReady = resolve));
+
+  STATE.set(this, {
+    history: history,
+
+    /**
+     * Connected transports { transport, disconnect }. The leader may have a transport per peer.
+     */
+    transports: [],
+
+    leader: options.leader === true,
+    codec: options.codec ?? IDENTITY_CODEC,
+    onError: options.onError ?? null,
+
+    /**
+     * Random id of the peer that snapshots and rejections are addressed to.
+     */
+    peer: createPeerId(),
+
+    /**
+     * Sequence number of the last applied operation.
+     */
+    seq: 0,
+
+    /**
+     * Operations received ahead of time by their sequence number (followers only).
+     */
+    pending: new Map(),
+
+    /**
+     * Whether the follower has received the snapshot. The leader is always joined.
+     */
+    joined: options.leader === true,
+
+    ready: ready,
+    resolveReady: resolveReady,
+    closed: false,
+  });
+
+  if (options.leader === true) resolveReady();
+  this.connect(transport);
+}
+
+/**
+ * @description
+ * Connects another transport, e.g. the leader's MessagePort of a new worker.
+ * The leader announces itself, so followers that have started before it can join.
+ * Returns a function that disconnects and closes the transport.
+ *
+ * @param {object} transport - Transport { send, subscribe }
+ */
+HistorySync.prototype.connect = function (transport) {
+  assertTransport(transport);
+  var self = STATE.get(this);
+
+  var unsubscribe = transport.subscribe((message) => handleMessage(self, message));
+
+  var entry = {
+    transport: transport,
+    disconnect: () => {
+      var index = self.transports.indexOf(entry);
+      if (index === -1) return;
+      self.transports.splice(index, 1);
+      unsubscribe();
+      transport.close?.();
+    },
+  };
+
+  self.transports.push(entry);
+
+  transport.send({
+    protocol: PROTOCOL,
+    type: self.leader ? "leader" : "join",
+    peer: self.peer,
+  });
+
+  return entry.disconnect;
+};
+
+/**
+ * @description
+ * Commits the value on all peers. On a follower, the value is committed
+ * once the leader has sequenced the operation. Throws right away if the value
+ * or the metadata can't be committed to the history.
+ *
+ * @param {*} value - Item to commit
+ * @param {object} [meta] - Metadata of the item
+ */
+HistorySync.prototype.commit = function (value, meta = {}) {
+  var self = STATE.get(this);
+  assertCommit(self.history, value, meta);
+  request(self, "commit", [self.codec.encode(value), meta]);
+};
+
+HistorySync.prototype.moveBackward = function () {
+  request(STATE.get(this), "moveBackward", []);
+};
+
+HistorySync.prototype.moveForward = function () {
+  request(STATE.get(this), "moveForward", []);
+};
+
+HistorySync.prototype.clear = function () {
+  request(STATE.get(this), "clear", []);
+};
+
+/**
+ * @description
+ * Disconnects and closes all transports. The history keeps its state.
+ */
+HistorySync.prototype.close = function () {
+  var self = STATE.get(this);
+  self.closed = true;
+  self.transports.slice().forEach((entry) => entry.disconnect());
+};
+
+Object.defineProperties(HistorySync.prototype, {
+  history: {
+    get() {
+      return STATE.get(this).history;
+    },
+  },
+
+  leader: {
+    get() {
+      return STATE.get(this).leader;
+    },
+  },
+
+  /**
+   * @description
+   * Promise that resolves once the follower has received the leader's snapshot.
+   * It's resolved right away for the leader.
+   */
+  ready: {
+    get() {
+      return STATE.get(this).ready;
+    },
+  },
+});
+
+HistorySync.transports = transports;
+
+export { HistorySync };
@@ -0,0 +1,192 @@
+import { test, describe, expect } from "vitest";
+import { MessageChannel } from "node:worker_threads";
+import { CircularHistory } from "./circular-history.js";
+import { HistorySync, transports } from "./history-sync.js";
+
+var delay = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+var connect = (leaderHistory, followerHistory, options = {}) => {
+  var channel = new MessageChannel();
+
+  return [
+    new HistorySync(leaderHistory, transports.messagePort(channel.port1), {
+      ...options,
+      leader: true,
+    }),
+    new HistorySync(followerHistory, transports.messagePort(channel.port2), options),
+  ];
+};
+
+describe("HistorySync", () => {
+  test("should send a snapshot to a newly joined follower", async () => {
+    var leaderHistory = new CircularHistory(3, "number");
+    var followerHistory = new CircularHistory(3, "number");
+    [1, 2, 3, 4].forEach((item) => leaderHistory.commit(item, { label: `#${item}` }));
+    leaderHistory.moveBackward();
+    followerHistory.commit(10);
+
+    var [leader, follower] = connect(leaderHistory, followerHistory);
+    await follower.ready;
+
+    expect([...followerHistory]).toEqual([2, 3, 4]);
+    expect(followerHistory.position).toBe(1);
+    expect(followerHistory.metadata()).toEqual(leaderHistory.metadata());
+
+    followerHistory.goToStart();
+    expect(followerHistory.isStartReached()).toBe(true);
+
+    leader.close();
+    follower.close();
+  });
+
+  test("should apply the operations of all peers in the same order", async () => {
+    var leaderHistory = new CircularHistory(3, "bigint");
+    var followerHistory = new CircularHistory(3, "bigint");
+    var [leader, follower] = connect(leaderHistory, followerHistory);
+    await follower.ready;
+
+    follower.commit(1n, { label: "follower" });
+    leader.commit(2n);
+    follower.commit(3n);
+    follower.moveBackward();
+    await delay();
+
+    expect([...followerHistory]).toEqual([2n, 1n, 3n]);
+    expect([...leaderHistory]).toEqual([2n, 1n, 3n]);
+    expect(followerHistory.current()).toBe(1n);
+    expect(leaderHistory.current()).toBe(1n);
+    expect(followerHistory.metadata()).toEqual(leaderHistory.metadata());
+    expect(followerHistory.metadata()[1].label).toBe("follower");
+
+    leader.clear();
+    await delay();
+    expect(followerHistory.size).toBe(0);
+
+    leader.close();
+    follower.close();
+  });
+
+  test("should let followers join a leader that has started later", async () => {
+    var channel = new MessageChannel();
+    var followerHistory = new CircularHistory(3, "string");
+    var follower = new HistorySync(followerHistory, transports.messagePort(channel.port2));
+    await delay();
+
+    var leaderHistory = new CircularHistory(3, "string");
+    leaderHistory.commit("a");
+    var leader = new HistorySync(leaderHistory, transports.messagePort(channel.port1), {
+      leader: true,
+    });
+
+    await follower.ready;
+    expect([...followerHistory]).toEqual(["a"]);
+
+    leader.close();
+    follower.close();
+  });
+
+  test("should broadcast to all peers over a BroadcastChannel", async () => {
+    var histories = [0, 1, 2].map(() => new CircularHistory(5, "string"));
+    var peers = histories.map(
+      (history, index) =>
+        new HistorySync(history, transports.broadcastChannel("history-sync-spec"), {
+          leader: index === 0,
+        }),
+    );
+
+    await Promise.all(peers.map((peer) => peer.ready));
+
+    peers[1].commit("a");
+    peers[2].commit("b");
+    peers[0].moveBackward();
+    await delay();
+
+    histories.forEach((history) => {
+      expect([...history]).toEqual([...histories[0]]);
+      expect(history.position).toBe(histories[0].position);
+    });
+
+    expect(histories[0].size).toBe(2);
+    peers.forEach((peer) => peer.close());
+  });
+
+  test("should validate the commits before sending them to the leader", async () => {
+    var [leader, follower] = connect(
+      new CircularHistory(3, "number"),
+      new CircularHistory(3, "number"),
+    );
+
+    expect(() => follower.commit("a")).toThrowError(/Type of a is invalid/);
+    expect(() => follower.commit(1, null)).toThrow();
+
+    leader.close();
+    follower.close();
+    expect(() => leader.commit(1)).toThrowError(/Sync has been closed/);
+  });
+
+  test("should report operations rejected by the leader", async () => {
+    var errors = [];
+    var [leader, follower] = connect(
+      new CircularHistory(3, "number"),
+      new CircularHistory(3, "string"),
+      { onError: (error) => errors.push(error.message) },
+    );
+
+    follower.commit("a");
+    await delay();
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatch(/rejected by the leader/);
+
+    leader.close();
+    follower.close();
+  });
+
+  test("should emit the errors as history events without the onError option", async () => {
+    var leaderHistory = new CircularHistory(3, "object");
+    var followerHistory = new CircularHistory(3, "object");
+    var errors = [];
+    followerHistory.on("error", (event) => errors.push(event.error.message));
+
+    leaderHistory.commit(() => ({ x: 1 }), {}, { lazy: true });
+    var [leader, follower] = connect(leaderHistory, followerHistory);
+    await delay();
+
+    // The follower asks for the snapshot on connect and once the leader has announced itself.
+    expect(errors.length).toBeGreaterThan(0);
+    errors.forEach((error) => expect(error).toMatch(/rejected by the leader. .*pending/));
+
+    leader.close();
+    follower.close();
+  });
+
+  test("should validate the transport", () => {
+    expect(() => new HistorySync(new CircularHistory(3, "number"), {})).toThrowError(
+      /Transport must be an object/,
+    );
+  });
+
+  test("should let the leader's guards cancel the operations", async () => {
+    var leaderHistory = new CircularHistory(3, "number");
+    var followerHistory = new CircularHistory(3, "number");
+    var [leader, follower] = connect(leaderHistory, followerHistory);
+    await follower.ready;
+
+    leaderHistory.beforeCommit((change) => change.value > 0);
+    followerHistory.beforeMove(() => false);
+
+    follower.commit(-1);
+    follower.commit(1);
+    await delay();
+    leader.commit(2);
+    leader.moveBackward();
+    await delay();
+
+    expect([...leaderHistory]).toEqual([1, 2]);
+    expect([...followerHistory]).toEqual([1, 2]);
+    expect(followerHistory.current()).toBe(1);
+
+    leader.close();
+    follower.close();
+  });
+});
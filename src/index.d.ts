@@ -1,25 +1,396 @@
 export declare const FLAGS: {
   readonly empty: unique symbol;
+  readonly pending: unique symbol;
 };
 
-export declare type CircularHistoryType = number | string | bigint | boolean | symbol | object;
+export declare type CircularHistoryType =
+  | number
+  | string
+  | bigint
+  | boolean
+  | symbol
+  | object
+  | null;
 
 type DataType = "number" | "string" | "bigint" | "boolean" | "symbol" | "object";
 
+type DataTypeMap = {
+  number: number;
+  string: string;
+  bigint: bigint;
+  boolean: boolean;
+  symbol: symbol;
+  object: object | null;
+};
+
+export declare interface TypeDescriptor<T = unknown> {
+  readonly name: string;
+  check(value: unknown): string | undefined;
+  /**
+   * Type-level only, never set at runtime.
+   */
+  readonly __type?: T;
+}
+
+export declare type TypeGuard<T> = (value: unknown) => value is T;
+
+export declare type Validator = (value: unknown) => boolean;
+
+export declare type DataTypeSpec<T = any> = DataType | TypeDescriptor<T> | TypeGuard<T> | Validator;
+
+export declare type InferDataType<S> =
+  S extends TypeDescriptor<infer U>
+    ? U
+    : S extends TypeGuard<infer U>
+      ? U
+      : S extends DataType
+        ? DataTypeMap[S]
+        : unknown;
+
+export declare const types: {
+  array<S extends DataTypeSpec | undefined = undefined>(
+    of?: S,
+  ): TypeDescriptor<S extends undefined ? unknown[] : InferDataType<S>[]>;
+  plainObject<T extends object = Record<string, unknown>>(): TypeDescriptor<T>;
+  instanceOf<C extends abstract new (...args: any[]) => any>(
+    constructor: C,
+  ): TypeDescriptor<InstanceType<C>>;
+  union<S extends DataTypeSpec[]>(...dataTypes: S): TypeDescriptor<InferDataType<S[number]>>;
+  nullable<S extends DataTypeSpec>(dataType: S): TypeDescriptor<InferDataType<S> | null>;
+  custom<T = unknown>(name: string, validator: TypeGuard<T> | Validator): TypeDescriptor<T>;
+};
+
+export declare interface CircularHistoryCodec<T = CircularHistoryType> {
+  encode(value: T): unknown;
+  decode(value: unknown): T;
+}
+
+export declare interface DeltaAlgorithm<T = any, D = any> {
+  diff(prev: T, next: T): D | undefined;
+  patch(prev: T, delta: D): T;
+}
+
+export declare interface DeltaOptions<T = any> {
+  keyframeInterval?: number;
+  diff?: DeltaAlgorithm<T>["diff"];
+  patch?: DeltaAlgorithm<T>["patch"];
+}
+
+export declare interface StorageAdapter {
+  load(key: string): unknown | Promise<unknown>;
+  save(key: string, value: unknown): void | Promise<void>;
+  remove(key: string): void | Promise<void>;
+}
+
+export declare interface WebStorage {
+  getItem(key: string): string | null;
+  setItem(key: string, value: string): void;
+  removeItem(key: string): void;
+}
+
+export declare const adapters: {
+  memory(): StorageAdapter;
+  webStorage(storage?: WebStorage, prefix?: string): StorageAdapter;
+  fs(directory: string): StorageAdapter;
+};
+
+export declare interface AutosaveOptions<T = CircularHistoryType> {
+  adapter: StorageAdapter;
+  key: string;
+  onError: (error: unknown) => void;
+  throttle?: number;
+  codec?: CircularHistoryCodec<T>;
+}
+
+export declare type SnapshotPolicy = "reference" | "clone" | "freeze";
+
+export declare type EqualityName = "strict" | "shallow" | "deep";
+
+export declare type Comparator<T = any> = (current: T, next: T) => boolean;
+
+export declare interface CircularHistoryOptions<T = CircularHistoryType> {
+  delta?: boolean | DeltaOptions<T>;
+  maxBytes?: number;
+  sizeOf?: (value: T) => number;
+  equals?: EqualityName | Comparator<T>;
+  snapshot?: SnapshotPolicy;
+  maxPins?: number;
+  autosave?: AutosaveOptions<T>;
+  typedStorage?: boolean;
+  onReject?: "error" | "drop";
+  maxAge?: number;
+  clock?: () => number;
+}
+
+export declare interface CircularHistoryMetaInput {
+  label?: string;
+  timestamp?: number;
+  [key: string]: unknown;
+}
+
+export declare interface CircularHistoryMeta extends CircularHistoryMetaInput {
+  readonly id: number;
+  readonly timestamp: number;
+}
+
+export declare interface CircularHistoryEntry<T> {
+  value: T;
+  meta: CircularHistoryMeta;
+  pinned: boolean;
+  evicted: boolean;
+}
+
+export declare interface CircularHistoryCheckpoint<T> {
+  id: number;
+  value: T;
+  meta: CircularHistoryMeta;
+  position: number;
+}
+
+export declare interface CircularHistoryCommitOptions {
+  coalesceKey?: unknown;
+  coalesceWindow?: number;
+  lazy?: boolean;
+}
+
+export declare type LazyItem<T> = (() => T | PromiseLike<T>) | PromiseLike<T>;
+
+export declare interface CircularHistorySearchOptions {
+  side?: "undo" | "redo";
+}
+
+export declare type CircularHistoryPredicate<T> = (
+  value: T,
+  position: number,
+  meta: CircularHistoryMeta,
+) => boolean;
+
+export declare interface CircularHistoryCommitEvent<T> {
+  type: "commit";
+  value: T;
+  overwritten: T | typeof FLAGS.empty;
+  discarded: T[];
+  evicted: T[];
+}
+
+export declare interface CircularHistoryReplaceEvent<T> {
+  type: "replace";
+  value: T;
+  previous: T;
+  evicted: T[];
+}
+
+export declare interface CircularHistoryOverwriteEvent<T> {
+  type: "overwrite";
+  value: T;
+}
+
+export declare interface CircularHistoryMoveEvent<T> {
+  type: "move";
+  direction: "backward" | "forward";
+  steps: number;
+  value: T | typeof FLAGS.empty;
+  startReached: boolean;
+  endReached: boolean;
+}
+
+export declare interface CircularHistoryClearEvent<T> {
+  type: "clear";
+  cleared: T[];
+}
+
+export declare interface CircularHistoryResizeEvent<T> {
+  type: "resize";
+  capacity: number;
+  evicted: T[];
+}
+
+export declare interface CircularHistoryRollbackEvent<T> {
+  type: "rollback";
+  value: T | typeof FLAGS.empty;
+}
+
+export declare interface CircularHistoryEditEvent<T> {
+  type: "edit";
+  operation: "squash" | "removeAt" | "truncateRedo";
+  removed: T[];
+}
+
+export declare interface CircularHistoryResolveEvent<T> {
+  type: "resolve";
+  id: number;
+  value: T;
+  evicted: T[];
+}
+
+export declare interface CircularHistoryErrorEvent {
+  type: "error";
+  error: unknown;
+}
+
+export declare interface CircularHistoryEventMap<T> {
+  commit: CircularHistoryCommitEvent<T>;
+  replace: CircularHistoryReplaceEvent<T>;
+  overwrite: CircularHistoryOverwriteEvent<T>;
+  move: CircularHistoryMoveEvent<T>;
+  clear: CircularHistoryClearEvent<T>;
+  resize: CircularHistoryResizeEvent<T>;
+  rollback: CircularHistoryRollbackEvent<T>;
+  edit: CircularHistoryEditEvent<T>;
+  resolve: CircularHistoryResolveEvent<T>;
+  error: CircularHistoryErrorEvent;
+}
+
+export declare type CircularHistoryEvent<T> =
+  CircularHistoryEventMap<T>[keyof CircularHistoryEventMap<T>];
+
+export declare interface CircularHistoryMove<T> {
+  direction: "backward" | "forward";
+  steps: number;
+  from: number;
+  to: number;
+  value: T | typeof FLAGS.empty;
+}
+
+export declare interface CircularHistoryCommitAttempt<T> {
+  value: T;
+  meta: CircularHistoryMetaInput;
+}
+
+export declare type CircularHistoryGuard<C> = (
+  context: C,
+) => boolean | void | Promise<boolean | void>;
+
+export declare interface SerializedCircularHistory {
+  version: 1;
+  capacity: number;
+  dataType: string;
+  pointer: number;
+  navigatedItemsCount: number;
+  navigationUpperBound: number;
+  items: Array<[index: number, value: unknown]>;
+  metas?: Array<[index: number, meta: CircularHistoryMeta]>;
+  nextId?: number;
+  pins?: Array<[value: unknown, meta: CircularHistoryMeta]>;
+}
+
 export declare class CircularHistory<T extends CircularHistoryType = CircularHistoryType> {
-  constructor(capacity: number, dataType: DataType);
+  constructor(
+    capacity: number,
+    dataType: DataType | TypeDescriptor<T> | TypeGuard<T> | Validator,
+    options?: CircularHistoryOptions<T>,
+  );
 
-  commit(value: T): void;
+  commit(
+    value: T,
+    meta?: CircularHistoryMetaInput,
+    options?: CircularHistoryCommitOptions,
+  ): boolean;
 
-  current(): T | typeof FLAGS.empty;
+  /**
+   * Commits a factory or a promise of the item. Until it's resolved with currentAsync
+   * or resolvePending, sync reads return FLAGS.pending in place of the item.
+   */
+  commit(
+    value: LazyItem<T>,
+    meta: CircularHistoryMetaInput | undefined,
+    options: CircularHistoryCommitOptions & { lazy: true },
+  ): boolean;
+
+  commitAsync(
+    value: T,
+    meta?: CircularHistoryMetaInput,
+    options?: CircularHistoryCommitOptions,
+  ): Promise<boolean>;
+
+  beginBatch(): void;
+
+  endBatch(): void;
+
+  abortBatch(): void;
+
+  batch<R>(fn: () => R): R;
+
+  /**
+   * Returns FLAGS.pending if the current item has been committed lazily and not resolved yet.
+   */
+  current(): T | typeof FLAGS.empty | typeof FLAGS.pending;
+
+  currentAsync(): Promise<T | typeof FLAGS.empty>;
+
+  resolvePending(): Promise<void>;
+
+  currentMeta(): CircularHistoryMeta | typeof FLAGS.empty;
+
+  metadata(): CircularHistoryMeta[];
 
   moveBackward(): void;
 
   moveForward(): void;
 
+  moveBackwardAsync(): Promise<boolean>;
+
+  moveForwardAsync(): Promise<boolean>;
+
+  go(delta: number): number;
+
+  goTo(position: number): number;
+
+  positionOf(id: number): number;
+
+  goToId(id: number): number;
+
+  goToTime(timestamp: number): number;
+
+  goToStart(): number;
+
+  goToEnd(): number;
+
+  peek(offset: number): T | typeof FLAGS.empty | typeof FLAGS.pending;
+
+  find(
+    predicate: CircularHistoryPredicate<T>,
+    options?: CircularHistorySearchOptions,
+  ): T | typeof FLAGS.empty;
+
+  findLast(
+    predicate: CircularHistoryPredicate<T>,
+    options?: CircularHistorySearchOptions,
+  ): T | typeof FLAGS.empty;
+
+  filter(predicate: CircularHistoryPredicate<T>, options?: CircularHistorySearchOptions): T[];
+
+  indexOf(value: T, options?: CircularHistorySearchOptions): number;
+
+  seek(predicate: CircularHistoryPredicate<T>, direction?: "backward" | "forward"): number;
+
   clear(): void;
 
-  dump(discardHoles?: boolean): T[];
+  setCapacity(capacity: number): T[];
+
+  evictOldest(): T | typeof FLAGS.empty;
+
+  evictExpired(): T[];
+
+  squash(from: number, to: number, merge?: (values: T[], metas: CircularHistoryMeta[]) => T): T[];
+
+  removeAt(position: number): T;
+
+  replaceCurrent(value: T, meta?: CircularHistoryMetaInput): void;
+
+  truncateRedo(): T[];
+
+  pin(position?: number): number;
+
+  unpin(id: number): boolean;
+
+  checkpoints(): CircularHistoryCheckpoint<T>[];
+
+  restoreCheckpoint(id: number): number;
+
+  dump(discardHoles?: boolean, withMeta?: false): T[];
+
+  dump(discardHoles: boolean, withMeta: true): CircularHistoryEntry<T>[];
 
   getCurrentIndex(): number;
 
@@ -27,5 +398,259 @@ export declare class CircularHistory<T extends CircularHistoryType = CircularHis
 
   isEndReached(): boolean;
 
+  [Symbol.iterator](): IterableIterator<T>;
+
+  entries(): IterableIterator<[position: number, value: T]>;
+
+  undoStack(): T[];
+
+  redoStack(): T[];
+
+  readonly size: number;
+
+  readonly length: number;
+
+  readonly position: number;
+
+  readonly bytes: number;
+
+  subscribe(listener: (event: CircularHistoryEvent<T>) => void): () => void;
+
+  on<E extends keyof CircularHistoryEventMap<T>>(
+    event: E,
+    listener: (event: CircularHistoryEventMap<T>[E]) => void,
+  ): () => void;
+
+  beforeMove(guard: CircularHistoryGuard<CircularHistoryMove<T>>): () => void;
+
+  beforeCommit(guard: CircularHistoryGuard<CircularHistoryCommitAttempt<T>>): () => void;
+
+  save(): Promise<void>;
+
+  toJSON(codec?: CircularHistoryCodec<T>): SerializedCircularHistory;
+
+  static fromJSON<T extends CircularHistoryType = CircularHistoryType>(
+    json: SerializedCircularHistory | string,
+    codec?: CircularHistoryCodec<T>,
+    dataType?: DataType | TypeDescriptor<T> | TypeGuard<T> | Validator,
+    options?: CircularHistoryOptions<T>,
+  ): CircularHistory<T>;
+
+  static restore<T extends CircularHistoryType = CircularHistoryType>(
+    adapter: StorageAdapter,
+    key: string,
+    codec?: CircularHistoryCodec<T>,
+    dataType?: DataType | TypeDescriptor<T> | TypeGuard<T> | Validator,
+    options?: CircularHistoryOptions<T>,
+  ): Promise<CircularHistory<T> | null>;
+
+  static readonly FLAGS: typeof FLAGS;
+
+  static readonly types: typeof types;
+
+  static readonly adapters: typeof adapters;
+
+  static readonly DELTAS: {
+    readonly auto: DeltaAlgorithm<string | object>;
+    readonly text: DeltaAlgorithm<string, [start: number, deleteCount: number, insertion: string]>;
+    readonly structural: DeltaAlgorithm<object>;
+  };
+
+  static readonly EQUALITY: Readonly<Record<EqualityName, Comparator>>;
+
+  static readonly CODECS: {
+    readonly number: CircularHistoryCodec<number>;
+    readonly bigint: CircularHistoryCodec<bigint>;
+    readonly symbol: CircularHistoryCodec<symbol>;
+    readonly object: CircularHistoryCodec<object>;
+  };
+}
+
+export declare interface UndoTreeBranch<T> {
+  index: number;
+  id: number;
+  value: T;
+  active: boolean;
+}
+
+export declare class UndoTree<T extends CircularHistoryType = CircularHistoryType> {
+  constructor(capacity: number, dataType: DataType | TypeDescriptor<T> | TypeGuard<T> | Validator);
+
+  commit(value: T): T | typeof FLAGS.empty;
+
+  current(): T | typeof FLAGS.empty;
+
+  moveBackward(): void;
+
+  moveForward(): void;
+
+  isStartReached(): boolean;
+
+  isEndReached(): boolean;
+
+  branches(): UndoTreeBranch<T>[];
+
+  switchBranch(index: number): void;
+
+  clear(): void;
+
+  dump(): T[];
+
+  readonly size: number;
+
+  static readonly FLAGS: typeof FLAGS;
+}
+
+export declare interface CommandHistoryOptions extends CircularHistoryOptions<string> {
+  ignoreDuplicates?: boolean;
+  ignoreBlank?: boolean;
+}
+
+export declare interface CommandSearchOptions {
+  mode?: "substring" | "prefix";
+  draft?: string;
+}
+
+export declare class CommandHistory {
+  constructor(capacity: number, options?: CommandHistoryOptions);
+
+  add(line: string): boolean;
+
+  moveBackward(draft?: string): string;
+
+  moveForward(): string;
+
+  searchBackward(query: string, options?: CommandSearchOptions): string | typeof FLAGS.empty;
+
+  searchForward(query: string, options?: CommandSearchOptions): string | typeof FLAGS.empty;
+
+  current(): string;
+
+  reset(): void;
+
+  clear(): void;
+
+  [Symbol.iterator](): IterableIterator<string>;
+
+  readonly size: number;
+
+  readonly draft: string;
+
+  readonly navigating: boolean;
+
+  readonly history: CircularHistory<string>;
+
   static readonly FLAGS: typeof FLAGS;
 }
+
+export declare interface UndoCommand<R = unknown> {
+  execute(): R | Promise<R>;
+  undo(): unknown;
+  redo?(): unknown;
+}
+
+export declare class UndoManager<C extends UndoCommand = UndoCommand> {
+  constructor(capacity: number, options?: CircularHistoryOptions<C>);
+
+  execute<R>(command: C & UndoCommand<R>, meta?: CircularHistoryMetaInput): Promise<R>;
+
+  undo(): Promise<boolean>;
+
+  redo(): Promise<boolean>;
+
+  clear(): Promise<void>;
+
+  readonly canUndo: boolean;
+
+  readonly canRedo: boolean;
+
+  readonly history: CircularHistory<C>;
+}
+
+export declare interface HistoryRegistryOptions {
+  maxEntries?: number;
+  maxBytes?: number;
+  sizeOf?: (value: any) => number;
+}
+
+export declare class HistoryRegistry<K = unknown> {
+  constructor(options?: HistoryRegistryOptions);
+
+  create<T extends CircularHistoryType = CircularHistoryType>(
+    key: K,
+    capacity: number,
+    dataType: DataType | TypeDescriptor<T> | TypeGuard<T> | Validator,
+    options?: CircularHistoryOptions<T>,
+  ): CircularHistory<T>;
+
+  get(key: K): CircularHistory | undefined;
+
+  has(key: K): boolean;
+
+  keys(): K[];
+
+  dispose(key: K): boolean;
+
+  undo(): K | undefined;
+
+  redo(): K | undefined;
+
+  readonly size: number;
+
+  readonly totalEntries: number;
+
+  readonly totalBytes: number;
+}
+
+export declare interface SyncTransport {
+  send(message: unknown): void;
+  subscribe(listener: (message: unknown) => void): () => void;
+  close?(): void;
+}
+
+export declare interface MessagePortLike {
+  postMessage(message: unknown): void;
+  addEventListener(type: "message", listener: (event: { data: unknown }) => void): void;
+  removeEventListener(type: "message", listener: (event: { data: unknown }) => void): void;
+  start?(): void;
+  close(): void;
+}
+
+export declare const transports: {
+  messagePort(port: MessagePortLike): SyncTransport;
+  broadcastChannel(channel: MessagePortLike | string): SyncTransport;
+};
+
+export declare interface HistorySyncOptions<T = CircularHistoryType> {
+  leader?: boolean;
+  codec?: CircularHistoryCodec<T>;
+  onError?: (error: Error) => void;
+}
+
+export declare class HistorySync<T extends CircularHistoryType = CircularHistoryType> {
+  constructor(
+    history: CircularHistory<T>,
+    transport: SyncTransport,
+    options?: HistorySyncOptions<T>,
+  );
+
+  connect(transport: SyncTransport): () => void;
+
+  commit(value: T, meta?: CircularHistoryMetaInput): void;
+
+  moveBackward(): void;
+
+  moveForward(): void;
+
+  clear(): void;
+
+  close(): void;
+
+  readonly history: CircularHistory<T>;
+
+  readonly leader: boolean;
+
+  readonly ready: Promise<void>;
+
+  static readonly transports: typeof transports;
+}
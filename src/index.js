@@ -0,0 +1,8 @@
+export { adapters } from "./adapters.js";
+export { CircularHistory } from "./circular-history.js";
+export { CommandHistory } from "./command-history.js";
+export { HistoryRegistry } from "./history-registry.js";
+export { HistorySync, transports } from "./history-sync.js";
+export { UndoManager } from "./undo-manager.js";
+export { UndoTree } from "./undo-tree.js";
+export { types } from "./types.js";
@@ -0,0 +1,63 @@
+import { stringify } from "./utils.js";
+
+/**
+ * @description
+ * Rough estimation of how many bytes the value takes in memory.
+ * Strings take 2 bytes per character, bigints take 8 bytes per 64 bits
+ * and objects are measured by the length of their JSON representation.
+ *
+ * @param {*} value - Value to measure
+ */
+export var estimateSize = (value) => {
+  switch (typeof value) {
+    case "string":
+      return value.length * 2;
+    case "bigint":
+      return Math.ceil((value < 0n ? -value : value).toString(2).length / 64) * 8;
+    case "boolean":
+      return 4;
+    case "object":
+      return value === null ? 8 : estimateObjectSize(value);
+    default:
+      return 8;
+  }
+};
+
+var estimateObjectSize = (value) => {
+  try {
+    var json = JSON.stringify(value, (key, item) =>
+      typeof item === "bigint" ? item.toString() : item,
+    );
+
+    return json.length * 2;
+  } catch (error) {
+    throw new Error(
+      `Can't estimate the size of ${stringify(value)}. Pass the sizeOf option. ${error.message}`,
+    );
+  }
+};
+
+/**
+ * @description
+ * Validates the maxBytes and sizeOf options of the CircularHistory constructor.
+ * Returns null if neither of them is passed, so the size of the items is not tracked.
+ *
+ * @param {number} [maxBytes] - Maximum total size of the items
+ * @param {Function} [sizeOf] - Returns the size of the item in bytes
+ */
+export var resolveBudget = (maxBytes, sizeOf) => {
+  if (maxBytes === undefined && sizeOf === undefined) return null;
+
+  if (maxBytes !== undefined && (typeof maxBytes !== "number" || !(maxBytes > 0))) {
+    throw new Error(`maxBytes must be a positive number. Got "${String(maxBytes)}".`);
+  }
+
+  if (sizeOf !== undefined && typeof sizeOf !== "function") {
+    throw new Error(`sizeOf must be a function. Got "${typeof sizeOf}".`);
+  }
+
+  return {
+    maxBytes: maxBytes ?? Infinity,
+    sizeOf: sizeOf ?? estimateSize,
+  };
+};
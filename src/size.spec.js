@@ -0,0 +1,31 @@
+import { test, describe, expect } from "vitest";
+import { estimateSize } from "./size.js";
+
+describe("estimateSize", () => {
+  test("should measure primitives", () => {
+    expect(estimateSize("abc")).toBe(6);
+    expect(estimateSize(1.5)).toBe(8);
+    expect(estimateSize(true)).toBe(4);
+    expect(estimateSize(null)).toBe(8);
+    expect(estimateSize(Symbol("a"))).toBe(8);
+  });
+
+  test("should measure bigints by 64-bit words", () => {
+    expect(estimateSize(0n)).toBe(8);
+    expect(estimateSize(2n ** 64n - 1n)).toBe(8);
+    expect(estimateSize(2n ** 64n)).toBe(16);
+    expect(estimateSize(-(2n ** 64n))).toBe(16);
+  });
+
+  test("should measure objects by their JSON representation", () => {
+    expect(estimateSize({ a: 1 })).toBe(14);
+    expect(estimateSize([1n])).toBe(10);
+  });
+
+  test("should throw a clear error for objects that can't be serialized", () => {
+    var value = {};
+    value.self = value;
+
+    expect(() => estimateSize(value)).toThrowError(/Pass the sizeOf option/);
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * #Config
+ */
+
+var TYPED_ARRAYS = {
+  number: Float64Array,
+  bigint: BigInt64Array,
+};
+
+var MIN_BIGINT = -(2n ** 63n);
+var MAX_BIGINT = 2n ** 63n - 1n;
+
+/**
+ * #Utils
+ */
+
+var isCompactMeta = (meta) =>
+  typeof meta.id === "number" &&
+  typeof meta.timestamp === "number" &&
+  Object.keys(meta).length === 2;
+
+/**
+ * #Array slots
+ *
+ * @description
+ * Slots store the items and their metadata by buffer index. An empty slot holds undefined.
+ * Array slots keep them in plain arrays and can hold items of any data type.
+ */
+function ArraySlots(capacity) {
+  this.capacity = capacity;
+  this.items = new Array(capacity);
+  this.metas = new Array(capacity);
+
+  /**
+   * Whether the slots have been promoted from typed slots (see toArraySlots).
+   */
+  this.promoted = false;
+}
+
+ArraySlots.prototype.has = function (index) {
+  return this.items[index] !== undefined;
+};
+
+ArraySlots.prototype.get = function (index) {
+  return this.items[index];
+};
+
+ArraySlots.prototype.accepts = function () {
+  return true;
+};
+
+ArraySlots.prototype.set = function (index, item) {
+  this.items[index] = item;
+};
+
+ArraySlots.prototype.getMeta = function (index) {
+  return this.metas[index];
+};
+
+ArraySlots.prototype.setMeta = function (index, meta) {
+  this.metas[index] = meta;
+};
+
+ArraySlots.prototype.delete = function (index) {
+  this.items[index] = undefined;
+  this.metas[index] = undefined;
+};
+
+ArraySlots.prototype.reset = function () {
+  this.items = new Array(this.capacity);
+  this.metas = new Array(this.capacity);
+};
+
+ArraySlots.prototype.clone = function () {
+  var slots = new ArraySlots(this.capacity);
+  slots.items = this.items.slice();
+  slots.metas = this.metas.slice();
+  slots.promoted = this.promoted;
+  return slots;
+};
+
+/**
+ * @description
+ * Returns the items as a dense array where the empty slots are undefined.
+ */
+ArraySlots.prototype.toArray = function () {
+  return [...this.items];
+};
+
+/**
+ * #Typed slots
+ *
+ * @description
+ * Typed slots keep numbers in a Float64Array and bigints in a BigInt64Array, so the items
+ * are neither boxed nor traced by the garbage collector. Which slots are occupied is tracked
+ * by a bitmap, since every value of a typed array is a valid item. The metadata is stored
+ * in columns as well: ids and timestamps in typed arrays, and only the metadata with other
+ * fields (like a label) is kept as an object. reset clears the bitmap without reallocating.
+ */
+function TypedSlots(capacity, dataType) {
+  this.capacity = capacity;
+  this.dataType = dataType;
+  this.values = new TYPED_ARRAYS[dataType](capacity);
+  this.occupied = new Uint32Array(Math.ceil(capacity / 32));
+  this.ids = new Float64Array(capacity);
+  this.timestamps = new Float64Array(capacity);
+
+  /**
+   * Metadata that has fields other than id and timestamp, by index.
+   */
+  this.extras = new Map();
+}
+
+TypedSlots.prototype.has = function (index) {
+  return (this.occupied[index >>> 5] & (1 << (index & 31))) !== 0;
+};
+
+TypedSlots.prototype.get = function (index) {
+  return this.has(index) ? this.values[index] : undefined;
+};
+
+/**
+ * @description
+ * Returns false for bigints that don't fit into 64 bits and for values of other types,
+ * like pending lazy items. Such slots have to be promoted to array slots (see toArraySlots).
+ */
+TypedSlots.prototype.accepts = function (item) {
+  if (typeof item !== this.dataType) return false;
+  return this.dataType !== "bigint" || (item >= MIN_BIGINT && item <= MAX_BIGINT);
+};
+
+TypedSlots.prototype.set = function (index, item) {
+  this.values[index] = item;
+  this.occupied[index >>> 5] |= 1 << (index & 31);
+};
+
+TypedSlots.prototype.getMeta = function (index) {
+  if (!this.has(index)) return undefined;
+  if (this.extras.has(index)) return this.extras.get(index);
+  return Object.freeze({ id: this.ids[index], timestamp: this.timestamps[index] });
+};
+
+TypedSlots.prototype.setMeta = function (index, meta) {
+  if (meta !== undefined && isCompactMeta(meta)) {
+    this.ids[index] = meta.id;
+    this.timestamps[index] = meta.timestamp;
+    this.extras.delete(index);
+  } else if (meta !== undefined) {
+    this.extras.set(index, meta);
+  }
+};
+
+TypedSlots.prototype.delete = function (index) {
+  this.occupied[index >>> 5] &= ~(1 << (index & 31));
+  this.extras.delete(index);
+};
+
+TypedSlots.prototype.reset = function () {
+  this.occupied.fill(0);
+  this.extras.clear();
+};
+
+TypedSlots.prototype.clone = function () {
+  var slots = Object.create(TypedSlots.prototype);
+  slots.capacity = this.capacity;
+  slots.dataType = this.dataType;
+  slots.values = this.values.slice();
+  slots.occupied = this.occupied.slice();
+  slots.ids = this.ids.slice();
+  slots.timestamps = this.timestamps.slice();
+  slots.extras = new Map(this.extras);
+  return slots;
+};
+
+TypedSlots.prototype.toArray = function () {
+  return Array.from({ length: this.capacity }, (_, index) => this.get(index));
+};
+
+/**
+ * #Factory
+ */
+
+/**
+ * @description
+ * Creates typed slots for the "number" and "bigint" data types if typed is true,
+ * and array slots otherwise.
+ *
+ * @param {number} capacity - Amount of slots
+ * @param {string|object|Function} dataType - Data type passed to the CircularHistory constructor
+ * @param {boolean} typed - Whether typed slots can be used
+ */
+export var createSlots = (capacity, dataType, typed) =>
+  typed && Object.hasOwn(TYPED_ARRAYS, dataType)
+    ? new TypedSlots(capacity, dataType)
+    : new ArraySlots(capacity);
+
+/**
+ * @description
+ * Copies the slots into array slots, e.g. when a bigint doesn't fit into a BigInt64Array.
+ * The result is marked as promoted, so it can be replaced with typed slots once it's reset.
+ */
+export var toArraySlots = (slots) => {
+  var result = new ArraySlots(slots.capacity);
+  result.promoted = true;
+
+  for (var index = 0; index < slots.capacity; index++) {
+    if (!slots.has(index)) continue;
+    result.set(index, slots.get(index));
+    result.setMeta(index, slots.getMeta(index));
+  }
+
+  return result;
+};
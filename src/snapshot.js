@@ -0,0 +1,177 @@
+import { stringify } from "./utils.js";
+
+/**
+ * #Utils
+ */
+
+var isObject = (value) => typeof value === "object" && value !== null;
+
+/**
+ * @description
+ * Methods that mutate built-in collections and dates in place, which Object.freeze
+ * can't prevent since their data is not stored in properties.
+ */
+var MUTATORS = [
+  [Map, ["set", "delete", "clear"]],
+  [Set, ["add", "delete", "clear"]],
+  [WeakMap, ["set", "delete"]],
+  [WeakSet, ["add", "delete"]],
+  [Date, Object.getOwnPropertyNames(Date.prototype).filter((name) => name.startsWith("set"))],
+];
+
+var lockMutators = (value) => {
+  MUTATORS.forEach(([constructor, methods]) => {
+    if (!(value instanceof constructor)) return;
+
+    methods.forEach((method) => {
+      Object.defineProperty(value, method, {
+        value: () => {
+          throw new TypeError(`Cannot call ${method} on a frozen ${constructor.name}.`);
+        },
+      });
+    });
+  });
+};
+
+var isNative = (fn) => /\{\s*\[native code\]\s*\}\s*$/.test(Function.prototype.toString.call(fn));
+
+/**
+ * @description
+ * Collects the value and all objects reachable from it (including the keys and the values
+ * of Maps and Sets) into the objects set, calling check with each of them first.
+ * Visited objects are skipped, so cycles are handled. Returns the objects set.
+ */
+var collectObjects = (value, check, objects = new Set()) => {
+  if (!isObject(value) || objects.has(value)) return objects;
+
+  check(value);
+  objects.add(value);
+
+  if (value instanceof Map) {
+    value.forEach((item, key) => {
+      collectObjects(key, check, objects);
+      collectObjects(item, check, objects);
+    });
+  }
+
+  if (value instanceof Set) value.forEach((item) => collectObjects(item, check, objects));
+
+  Reflect.ownKeys(value).forEach((key) => {
+    var descriptor = Object.getOwnPropertyDescriptor(value, key);
+    if ("value" in descriptor) collectObjects(descriptor.value, check, objects);
+  });
+
+  return objects;
+};
+
+var assertFreezable = (value) => {
+  if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+    throw new Error(`Can't freeze ${stringify(value)}. Use the "clone" snapshot policy instead.`);
+  }
+};
+
+/**
+ * @description
+ * Structured clones keep the prototype of plain objects and built-ins (arrays, dates, maps,
+ * typed arrays and so on) only. Instances of other classes would come back as plain objects,
+ * e.g. failing a types.instanceOf check, so they are rejected instead.
+ */
+var assertCloneable = (value) => {
+  var prototype = Object.getPrototypeOf(value);
+  if (prototype === null) return;
+
+  var constructor = Object.hasOwn(prototype, "constructor") ? prototype.constructor : undefined;
+  var isBuiltIn =
+    typeof constructor === "function" &&
+    constructor.prototype === prototype &&
+    isNative(constructor);
+
+  if (!isBuiltIn) {
+    var name = constructor?.name || "a custom prototype";
+    throw new Error(
+      `Can't clone ${stringify(value)}. It's an instance of ${name}, which a structured clone would turn into a plain object. Use the "freeze" snapshot policy instead.`,
+    );
+  }
+};
+
+/**
+ * #Policies
+ *
+ * @description
+ * Snapshot policy decides how objects are protected from being mutated after they are committed.
+ * store is called with the committed value and read with the stored item whenever it's returned.
+ * Primitives are always stored as is.
+ */
+
+var identity = (value) => value;
+
+var clone = (value) => {
+  if (!isObject(value)) return value;
+
+  try {
+    return structuredClone(value);
+  } catch (error) {
+    throw new Error(`Can't clone ${stringify(value)}. ${error.message}`);
+  }
+};
+
+/**
+ * @description
+ * The committed value is checked for class instances before it's cloned.
+ * Stored items have passed the check already, so they are cloned right away on read.
+ */
+var cloneCommitted = (value) => {
+  collectObjects(value, assertCloneable);
+  return clone(value);
+};
+
+/**
+ * @description
+ * Objects are collected before anything gets frozen, so the value is left untouched
+ * if it contains an object that can't be frozen.
+ */
+var freeze = (value) => {
+  collectObjects(value, assertFreezable).forEach((object) => {
+    if (Object.isFrozen(object)) return;
+    lockMutators(object);
+    Object.freeze(object);
+  });
+
+  return value;
+};
+
+var SNAPSHOT_POLICIES = {
+  /**
+   * Stores the committed objects as they are.
+   */
+  reference: { store: identity, read: identity },
+
+  /**
+   * Stores a structured clone of the committed objects and returns a new clone
+   * on every read, so neither the caller nor the readers can change the history.
+   * Committing class instances throws, since their prototype would be lost.
+   */
+  clone: { store: cloneCommitted, read: clone },
+
+  /**
+   * Deeply freezes the committed objects, so any attempt to mutate them throws
+   * in strict mode.
+   */
+  freeze: { store: freeze, read: identity },
+};
+
+/**
+ * @description
+ * Validates the snapshot option of the CircularHistory constructor.
+ *
+ * @param {string} [snapshot] - "reference" (default), "clone" or "freeze"
+ */
+export var resolveSnapshot = (snapshot = "reference") => {
+  if (!Object.hasOwn(SNAPSHOT_POLICIES, snapshot)) {
+    throw new Error(
+      `Snapshot policy must be one of: ${Object.keys(SNAPSHOT_POLICIES).join(", ")}. Got "${String(snapshot)}".`,
+    );
+  }
+
+  return SNAPSHOT_POLICIES[snapshot];
+};
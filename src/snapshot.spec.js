@@ -0,0 +1,65 @@
+import { test, describe, expect } from "vitest";
+import { resolveSnapshot } from "./snapshot.js";
+
+describe("snapshot", () => {
+  test("should clone cyclic structures, dates, maps and sets", () => {
+    var { store } = resolveSnapshot("clone");
+    var value = { date: new Date(0), map: new Map([["a", 1]]), set: new Set([1]) };
+    value.self = value;
+
+    var copy = store(value);
+
+    expect(copy).not.toBe(value);
+    expect(copy.self).toBe(copy);
+    expect(copy.date.getTime()).toBe(0);
+    expect(copy.map.get("a")).toBe(1);
+    expect(copy.set.has(1)).toBe(true);
+  });
+
+  test("should throw a clear error for values that can't be cloned", () => {
+    var { store } = resolveSnapshot("clone");
+
+    expect(() => store({ fn() {} })).toThrowError(/^Can't clone \[object Object\]\./);
+  });
+
+  test("should reject class instances, which would lose their prototype", () => {
+    var { store } = resolveSnapshot("clone");
+    class Point {}
+    class Registry extends Map {}
+
+    expect(() => store(new Point())).toThrowError(
+      "Can't clone [object Object]. It's an instance of Point, which a structured clone would turn into a plain object. Use the \"freeze\" snapshot policy instead.",
+    );
+    expect(() => store({ list: [new Registry()] })).toThrowError(/instance of Registry/);
+    expect(() => store(Object.create({ x: 1 }))).toThrowError(/instance of a custom prototype/);
+    expect(store([Object.create(null), new Uint8Array(1), /a/])).toHaveLength(3);
+  });
+
+  test("should deeply freeze objects including dates, maps and sets", () => {
+    var { store } = resolveSnapshot("freeze");
+    var value = { nested: { list: [1] }, date: new Date(0), map: new Map([["a", {}]]) };
+    value.self = value;
+
+    expect(store(value)).toBe(value);
+    expect(Object.isFrozen(value.nested.list)).toBe(true);
+    expect(Object.isFrozen(value.map.get("a"))).toBe(true);
+    expect(() => value.map.set("b", 1)).toThrowError("Cannot call set on a frozen Map.");
+    expect(() => value.date.setTime(1)).toThrowError("Cannot call setTime on a frozen Date.");
+    expect(store(value)).toBe(value);
+  });
+
+  test("should leave the value untouched if it can't be frozen", () => {
+    var { store } = resolveSnapshot("freeze");
+    var value = { nested: {}, bytes: new Uint8Array(1) };
+
+    expect(() => store(value)).toThrowError(/Use the "clone" snapshot policy instead/);
+    expect(Object.isFrozen(value.nested)).toBe(false);
+  });
+
+  test("should validate the policy", () => {
+    expect(resolveSnapshot(undefined)).toBe(resolveSnapshot("reference"));
+    expect(() => resolveSnapshot("copy")).toThrowError(
+      'Snapshot policy must be one of: reference, clone, freeze. Got "copy".',
+    );
+  });
+});
@@ -0,0 +1,174 @@
+import { isTypeAllowed, isValueTypeAllowed, typeOf } from "./utils.js";
+
+/**
+ * #Utils
+ */
+
+/**
+ * @description
+ * Type descriptor describes which values can be committed.
+ * The check function returns the reason why the value is rejected
+ * (e.g. 'got "string"') or undefined if the value is accepted.
+ */
+var createDescriptor = (name, check) => Object.freeze({ name: name, check: check });
+
+var isDescriptor = (spec) =>
+  typeof spec === "object" &&
+  spec !== null &&
+  typeof spec.name === "string" &&
+  typeof spec.check === "function";
+
+/**
+ * @description
+ * Name of the value's type which is more specific than typeof for objects.
+ */
+var kindOf = (value) => {
+  if (Array.isArray(value)) return "array";
+  if (typeof value !== "object" || value === null) return typeOf(value);
+  var prototype = Object.getPrototypeOf(value);
+  return prototype === null ? "object" : prototype.constructor?.name || "object";
+};
+
+var typeOfDescriptor = (dataType) =>
+  createDescriptor(dataType, (value) =>
+    typeof value === dataType ? undefined : `got "${typeOf(value)}"`,
+  );
+
+var validatorDescriptor = (name, validator) =>
+  createDescriptor(name, (value) => (validator(value) ? undefined : `rejected by ${name}`));
+
+var NULL = createDescriptor("null", (value) =>
+  value === null ? undefined : `got "${kindOf(value)}"`,
+);
+
+/**
+ * @description
+ * Converts the data type passed to the constructor into a type descriptor.
+ * Accepts one of the ALLOWED_DATA_TYPES, a type descriptor or a validator function
+ * that returns true for valid values.
+ *
+ * @param {string|object|Function} dataType - Data type
+ */
+export var resolveDataType = (dataType) => {
+  if (isTypeAllowed(dataType)) return typeOfDescriptor(dataType);
+  if (isDescriptor(dataType)) return dataType;
+
+  if (typeof dataType === "function") {
+    return validatorDescriptor(dataType.name || "custom validator", dataType);
+  }
+
+  throw new Error(`"${String(dataType)}" is not allowed`);
+};
+
+/**
+ * #Descriptors
+ *
+ * @description
+ * Built-in type descriptors that can be passed instead of the data type string.
+ */
+export var types = {
+  /**
+   * @description
+   * Arrays. If the item type is passed, every item is checked as well.
+   *
+   * @param {string|object|Function} [of] - Data type of the items
+   */
+  array: (of) => {
+    var item = of === undefined ? null : resolveDataType(of);
+
+    return createDescriptor(item ? `array<${item.name}>` : "array", (value) => {
+      if (!Array.isArray(value)) return `got "${kindOf(value)}"`;
+      if (!item) return undefined;
+
+      for (var index = 0; index < value.length; index++) {
+        var error = isValueTypeAllowed(value[index])
+          ? item.check(value[index])
+          : `got "${typeOf(value[index])}"`;
+
+        if (error !== undefined) return `item at index ${index} ${error}`;
+      }
+
+      return undefined;
+    });
+  },
+
+  /**
+   * @description
+   * Objects created with an object literal, Object.create(null) or new Object().
+   */
+  plainObject: () =>
+    createDescriptor("plain object", (value) => {
+      var prototype = typeof value === "object" && value !== null && Object.getPrototypeOf(value);
+      return prototype === Object.prototype || prototype === null
+        ? undefined
+        : `got "${kindOf(value)}"`;
+    }),
+
+  /**
+   * @description
+   * Instances of the given class.
+   *
+   * @param {Function} constructor - Class
+   */
+  instanceOf: (constructor) => {
+    if (typeof constructor !== "function") {
+      throw new Error(`instanceOf expects a class. Got "${typeOf(constructor)}".`);
+    }
+
+    var name = `instanceof ${constructor.name || "anonymous class"}`;
+
+    return createDescriptor(name, (value) =>
+      value instanceof constructor ? undefined : `got "${kindOf(value)}"`,
+    );
+  },
+
+  /**
+   * @description
+   * Values that match at least one of the given data types.
+   *
+   * @param {...(string|object|Function)} dataTypes - Data types
+   */
+  union: (...dataTypes) => {
+    if (dataTypes.length === 0) {
+      throw new Error(`union expects at least one data type.`);
+    }
+
+    var members = dataTypes.map(resolveDataType);
+
+    return createDescriptor(members.map((member) => member.name).join(" | "), (value) => {
+      var errors = [];
+
+      for (var member of members) {
+        var error = member.check(value);
+        if (error === undefined) return undefined;
+        errors.push(`${member.name}: ${error}`);
+      }
+
+      return `no rule matched (${errors.join("; ")})`;
+    });
+  },
+
+  /**
+   * @description
+   * Either null or a value of the given data type.
+   *
+   * @param {string|object|Function} dataType - Data type
+   */
+  nullable: (dataType) => types.union(NULL, dataType),
+
+  /**
+   * @description
+   * Named validator function that returns true for valid values.
+   * The name is used in error messages.
+   *
+   * @param {string} name - Rule name
+   * @param {Function} validator - Validator function
+   */
+  custom: (name, validator) => {
+    if (typeof validator !== "function") {
+      throw new Error(`custom expects a validator function. Got "${typeOf(validator)}".`);
+    }
+
+    return validatorDescriptor(name, validator);
+  },
+};
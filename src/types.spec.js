@@ -0,0 +1,69 @@
+import { test, describe, expect } from "vitest";
+import { resolveDataType, types } from "./types.js";
+
+class Layer {}
+class Shape {}
+
+describe("types", () => {
+  test("should resolve data type strings, descriptors and validators", () => {
+    expect(resolveDataType("number").name).toBe("number");
+    expect(resolveDataType(types.array()).name).toBe("array");
+    expect(resolveDataType(function isEven() {}).name).toBe("isEven");
+    expect(resolveDataType(() => true).name).toBe("custom validator");
+    expect(() => resolveDataType("function")).toThrow('"function" is not allowed');
+    expect(() => resolveDataType(null)).toThrow();
+  });
+
+  test("should check arrays", () => {
+    var anyArray = types.array();
+    expect(anyArray.check([1, "a"])).toBeUndefined();
+    expect(anyArray.check({})).toBe('got "Object"');
+
+    var numbers = types.array("number");
+    expect(numbers.name).toBe("array<number>");
+    expect(numbers.check([1, 2])).toBeUndefined();
+    expect(numbers.check([1, "2"])).toBe('item at index 1 got "string"');
+    expect(numbers.check([1, undefined])).toBe('item at index 1 got "undefined"');
+  });
+
+  test("should check plain objects", () => {
+    var plainObject = types.plainObject();
+    expect(plainObject.check({})).toBeUndefined();
+    expect(plainObject.check(Object.create(null))).toBeUndefined();
+    expect(plainObject.check([])).toBe('got "array"');
+    expect(plainObject.check(new Map())).toBe('got "Map"');
+    expect(plainObject.check(new Layer())).toBe('got "Layer"');
+    expect(plainObject.check(null)).toBe('got "null"');
+  });
+
+  test("should check instances", () => {
+    var layer = types.instanceOf(Layer);
+    expect(layer.name).toBe("instanceof Layer");
+    expect(layer.check(new Layer())).toBeUndefined();
+    expect(layer.check(new Shape())).toBe('got "Shape"');
+    expect(() => types.instanceOf("Layer")).toThrow();
+  });
+
+  test("should check unions and nullable types", () => {
+    var union = types.union("string", types.instanceOf(Layer));
+    expect(union.name).toBe("string | instanceof Layer");
+    expect(union.check("a")).toBeUndefined();
+    expect(union.check(new Layer())).toBeUndefined();
+    expect(union.check(1)).toBe(
+      'no rule matched (string: got "number"; instanceof Layer: got "number")',
+    );
+    expect(() => types.union()).toThrow();
+
+    var nullable = types.nullable(types.instanceOf(Layer));
+    expect(nullable.name).toBe("null | instanceof Layer");
+    expect(nullable.check(null)).toBeUndefined();
+    expect(nullable.check(new Layer())).toBeUndefined();
+  });
+
+  test("should check custom validators", () => {
+    var nonEmpty = types.custom("non-empty string", (value) => value !== "");
+    expect(nonEmpty.check("a")).toBeUndefined();
+    expect(nonEmpty.check("")).toBe("rejected by non-empty string");
+    expect(() => types.custom("name")).toThrow();
+  });
+});
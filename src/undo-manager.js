@@ -0,0 +1,185 @@
+import {
+  CircularHistory,
+  allowsMove,
+  assertCommit,
+  canMoveBackward,
+  canMoveForward,
+  withoutGuards,
+} from "./circular-history.js";
+import { types } from "./types.js";
+import { assertCapacity } from "./utils.js";
+
+/**
+ * #Utils
+ */
+
+var isCommand = (value) =>
+  typeof value === "object" &&
+  value !== null &&
+  typeof value.execute === "function" &&
+  typeof value.undo === "function" &&
+  (value.redo === undefined || typeof value.redo === "function");
+
+var COMMAND = types.custom("command", isCommand);
+
+/**
+ * #State
+ *
+ * @description
+ * Using WeakMap to store private state in order to not expose private properties.
+ */
+var STATE = new WeakMap();
+
+/**
+ * @description
+ * Runs the task after all previously enqueued tasks have settled, so commands
+ * never run concurrently even if they are async. Returns the result of the task.
+ */
+var enqueue = (self, task) => {
+  var result = self.queue.then(task);
+  self.queue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * @description
+ * Commits the executed command. If the history doesn't record it (the commit throws,
+ * is skipped or is cancelled by a guard), the command is undone, so its side effect
+ * doesn't outlive it, and the call rejects.
+ */
+var commitExecuted = async (self, command, meta) => {
+  try {
+    var committed = await self.history.commitAsync(command, meta);
+  } catch (error) {
+    await command.undo();
+    throw error;
+  }
+
+  if (!committed) {
+    await command.undo();
+    throw new Error(
+      "Command has been undone since the history has skipped or cancelled its commit.",
+    );
+  }
+};
+
+/**
+ * @description
+ *
+ * Undo Manager
+ *
+ * Stores commands { execute, undo, redo } in a CircularHistory and runs them on undo and redo.
+ * Commands may be async. Calls are queued and run one at a time in the order they were made.
+ * The history is only changed after the command has succeeded, so a command that throws
+ * (or rejects) leaves the pointer where it was, and the error is passed to the caller.
+ * The beforeMove guards of the history are asked before undo and redo run the command.
+ *
+ * @param {number} capacity - Amount of commands that can always be undone
+ * @param {object} [options] - Options passed to CircularHistory
+ */
+function UndoManager(capacity, options) {
+  assertCapacity(capacity);
+
+  STATE.set(this, {
+    /**
+     * History of the executed commands. The current item is the last executed one.
+     * Once the history wraps, its oldest command can't be undone anymore, since there is
+     * nothing to move backward to. So it has one more slot than the amount of undo levels.
+     */
+    history: new CircularHistory(capacity + 1, COMMAND, options),
+
+    /**
+     * Promise that settles when all enqueued calls have settled.
+     */
+    queue: Promise.resolve(),
+  });
+}
+
+/**
+ * @description
+ * Executes the command and adds it to the history, discarding the commands that could be redone.
+ * Resolves with the result of command.execute.
+ *
+ * @param {{ execute: Function, undo: Function, redo?: Function }} command - Command to execute
+ * @param {object} [meta] - Metadata of the command (see CircularHistory.prototype.commit)
+ */
+UndoManager.prototype.execute = function (command, meta = {}) {
+  var self = STATE.get(this);
+
+  return enqueue(self, async () => {
+    assertCommit(self.history, command, meta);
+    var result = await command.execute();
+    await commitExecuted(self, command, meta);
+    return result;
+  });
+};
+
+/**
+ * @description
+ * Undoes the current command and moves backward. Resolves with false if there is nothing to undo
+ * or a beforeMove guard of the history has cancelled the move, without undoing the command.
+ */
+UndoManager.prototype.undo = function () {
+  var self = STATE.get(this);
+
+  return enqueue(self, async () => {
+    if (!canMoveBackward(self.history) || !(await allowsMove(self.history, -1))) return false;
+    await self.history.current().undo();
+    withoutGuards(self.history, () => self.history.moveBackward());
+    return true;
+  });
+};
+
+/**
+ * @description
+ * Redoes the next command and moves forward. Calls command.redo if it's defined and
+ * command.execute otherwise. Resolves with false if there is nothing to redo
+ * or a beforeMove guard of the history has cancelled the move, without redoing the command.
+ */
+UndoManager.prototype.redo = function () {
+  var self = STATE.get(this);
+
+  return enqueue(self, async () => {
+    if (!canMoveForward(self.history) || !(await allowsMove(self.history, 1))) return false;
+    var command = self.history.peek(1);
+    await (command.redo ? command.redo() : command.execute());
+    withoutGuards(self.history, () => self.history.moveForward());
+    return true;
+  });
+};
+
+/**
+ * @description
+ * Removes all commands without undoing them.
+ */
+UndoManager.prototype.clear = function () {
+  var self = STATE.get(this);
+  return enqueue(self, () => self.history.clear());
+};
+
+Object.defineProperties(UndoManager.prototype, {
+  canUndo: {
+    get() {
+      return canMoveBackward(STATE.get(this).history);
+    },
+  },
+
+  canRedo: {
+    get() {
+      return canMoveForward(STATE.get(this).history);
+    },
+  },
+
+  /**
+   * @description
+   * Underlying history, e.g. to subscribe to its events or to render the list of commands.
+   * It should not be changed directly, since the commands would not be run.
+   */
+  history: {
+    get() {
+      return STATE.get(this).history;
+    },
+  },
+});
+
+export { UndoManager };
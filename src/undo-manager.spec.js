@@ -0,0 +1,191 @@
+import { test, describe, expect } from "vitest";
+import { UndoManager } from "./undo-manager.js";
+
+var createCounter = () => {
+  var state = { value: 0, log: [] };
+
+  var add = (amount) => ({
+    execute() {
+      state.value += amount;
+      state.log.push(`+${amount}`);
+      return state.value;
+    },
+    undo() {
+      state.value -= amount;
+      state.log.push(`-${amount}`);
+    },
+  });
+
+  return { state, add };
+};
+
+var delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("UndoManager", () => {
+  test("should execute, undo and redo commands", async () => {
+    var { state, add } = createCounter();
+    var manager = new UndoManager(5);
+
+    expect(manager.canUndo).toBe(false);
+    expect(await manager.execute(add(1))).toBe(1);
+    expect(await manager.execute(add(2))).toBe(3);
+
+    expect(await manager.undo()).toBe(true);
+    expect(state.value).toBe(1);
+    expect(manager.canRedo).toBe(true);
+
+    expect(await manager.undo()).toBe(true);
+    expect(await manager.undo()).toBe(false);
+    expect(state.value).toBe(0);
+    expect(manager.canUndo).toBe(false);
+
+    expect(await manager.redo()).toBe(true);
+    expect(await manager.redo()).toBe(true);
+    expect(await manager.redo()).toBe(false);
+    expect(state.value).toBe(3);
+    expect(state.log).toEqual(["+1", "+2", "-2", "-1", "+1", "+2"]);
+  });
+
+  test("should undo as many commands as the capacity after wrapping", async () => {
+    var { state, add } = createCounter();
+    var manager = new UndoManager(3);
+
+    for (var amount of [1, 2, 3, 4, 5]) await manager.execute(add(amount));
+
+    expect(await manager.undo()).toBe(true);
+    expect(await manager.undo()).toBe(true);
+    expect(await manager.undo()).toBe(true);
+    expect(manager.canUndo).toBe(false);
+    expect(await manager.undo()).toBe(false);
+    expect(state.value).toBe(3);
+  });
+
+  test("should prefer redo over execute when redoing", async () => {
+    var calls = [];
+    var manager = new UndoManager(5);
+    var command = {
+      execute: () => calls.push("execute"),
+      undo: () => calls.push("undo"),
+      redo: () => calls.push("redo"),
+    };
+
+    await manager.execute(command);
+    await manager.undo();
+    await manager.redo();
+
+    expect(calls).toEqual(["execute", "undo", "redo"]);
+  });
+
+  test("should run concurrent calls one at a time in order", async () => {
+    var log = [];
+    var manager = new UndoManager(5);
+
+    var slow = (name, ms) => ({
+      async execute() {
+        log.push(`start ${name}`);
+        await delay(ms);
+        log.push(`end ${name}`);
+      },
+      async undo() {
+        log.push(`undo ${name}`);
+      },
+    });
+
+    await Promise.all([
+      manager.execute(slow("a", 20)),
+      manager.execute(slow("b", 0)),
+      manager.undo(),
+    ]);
+
+    expect(log).toEqual(["start a", "end a", "start b", "end b", "undo b"]);
+    expect(manager.history.position).toBe(0);
+  });
+
+  test("should leave the history unchanged when a command throws", async () => {
+    var { state, add } = createCounter();
+    var manager = new UndoManager(5);
+    var failing = {
+      execute: () => Promise.reject(new Error("Failed to execute")),
+      undo: () => {
+        throw new Error("Failed to undo");
+      },
+    };
+
+    await manager.execute(add(1));
+    await expect(manager.execute(failing)).rejects.toThrowError("Failed to execute");
+    expect(manager.history.size).toBe(1);
+
+    manager.history.commit(failing);
+    await expect(manager.undo()).rejects.toThrowError("Failed to undo");
+    expect(manager.history.current()).toBe(failing);
+
+    manager.history.moveBackward();
+    expect(await manager.undo()).toBe(true);
+    expect(state.value).toBe(0);
+  });
+
+  test("should undo the command when the history doesn't record it", async () => {
+    var { state, add } = createCounter();
+    var manager = new UndoManager(5, { snapshot: "clone" });
+
+    await expect(manager.execute(add(1))).rejects.toThrowError();
+    expect(state.log).toEqual(["+1", "-1"]);
+    expect(manager.history.size).toBe(0);
+
+    var guarded = new UndoManager(5);
+    guarded.history.beforeCommit(() => false);
+
+    await expect(guarded.execute(add(2))).rejects.toThrowError(
+      "Command has been undone since the history has skipped or cancelled its commit.",
+    );
+    expect(state.value).toBe(0);
+    expect(guarded.history.size).toBe(0);
+  });
+
+  test("should not run the command when a beforeMove guard cancels the move", async () => {
+    var { state, add } = createCounter();
+    var manager = new UndoManager(5);
+    var allowed = false;
+
+    await manager.execute(add(1));
+    manager.history.beforeMove(() => allowed);
+
+    expect(await manager.undo()).toBe(false);
+    expect(state.value).toBe(1);
+    expect(manager.history.position).toBe(0);
+
+    allowed = true;
+    expect(await manager.undo()).toBe(true);
+    expect(state.value).toBe(0);
+
+    allowed = false;
+    expect(await manager.redo()).toBe(false);
+    expect(state.value).toBe(0);
+    expect(manager.history.position).toBe(-1);
+
+    manager.history.beforeMove(() => Promise.resolve(true));
+    allowed = true;
+    expect(await manager.redo()).toBe(true);
+    expect(state.log).toEqual(["+1", "-1", "+1"]);
+  });
+
+  test("should reject values that are not commands without executing them", async () => {
+    var manager = new UndoManager(5);
+
+    await expect(manager.execute({ execute() {} })).rejects.toThrowError(
+      'Type of [object Object] is invalid. Expected "command", rejected by command.',
+    );
+    expect(manager.history.size).toBe(0);
+  });
+
+  test("should clear the commands without undoing them", async () => {
+    var { state, add } = createCounter();
+    var manager = new UndoManager(5);
+
+    await manager.execute(add(1));
+    await manager.clear();
+
+    expect(state.value).toBe(1);
+    expect(manager.canUndo).toBe(false);
+  });
+});
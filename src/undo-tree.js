@@ -0,0 +1,226 @@
+import { FLAGS } from "./config.js";
+import { resolveDataType } from "./types.js";
+import { assertCanCommit, assertCapacity } from "./utils.js";
+
+/**
+ * #Utils
+ */
+
+var createNode = (value, parent, id) => ({
+  id: id,
+  value: value,
+  parent: parent,
+  children: [],
+
+  /**
+   * The child that moveForward follows. Points to the most recently
+   * committed or selected branch.
+   */
+  activeChild: null,
+});
+
+var isRoot = (node) => node.parent === null;
+
+var toBranch = (node, child, index) => ({
+  index: index,
+  id: child.id,
+  value: child.value,
+  active: node.activeChild === child,
+});
+
+/**
+ * #State
+ *
+ * @description
+ * Using WeakMap to store private state in order to not expose private properties.
+ */
+var STATE = new WeakMap();
+
+/**
+ * @description
+ * Removes the oldest node from the tree. The oldest node is always a child of the root
+ * since its ancestors would be older, so its children are attached to the root instead.
+ */
+var evictOldest = (self) => {
+  var node = self.nodes.shift();
+  var root = self.root;
+  var index = root.children.indexOf(node);
+
+  node.children.forEach((child) => {
+    child.parent = root;
+  });
+
+  root.children.splice(index, 1, ...node.children);
+
+  if (root.activeChild === node) {
+    root.activeChild = node.activeChild;
+  }
+
+  self.isEmptyStateReachable = false;
+  return node.value;
+};
+
+/**
+ * @description
+ *
+ * Undo Tree
+ *
+ * Branching alternative to CircularHistory. Committing after moving backward
+ * does not discard the items ahead of the current one but starts a new branch
+ * instead, so every committed item stays reachable until it gets evicted.
+ * moveBackward and moveForward follow the most recently used branch.
+ * When the total amount of items across all branches exceeds the capacity,
+ * the oldest item is evicted.
+ *
+ * @param {number} capacity - Maximum amount of items across all branches
+ * @param {string|object|Function} dataType - Data type of each item (see CircularHistory)
+ */
+function UndoTree(capacity, dataType) {
+  assertCapacity(capacity);
+  var type = resolveDataType(dataType);
+
+  var root = createNode(FLAGS.empty, null, null);
+
+  STATE.set(this, {
+    /**
+     * Node that represents the empty state. Its children are the first items of each branch.
+     */
+    root: root,
+
+    /**
+     * Currently selected node.
+     */
+    current: root,
+
+    /**
+     * All nodes except the root in the order they have been committed.
+     */
+    nodes: [],
+
+    /**
+     * Id that will be assigned to the next committed node.
+     */
+    nextId: 0,
+
+    /**
+     * Becomes false once an item has been evicted, since the empty state
+     * no longer precedes the remaining items.
+     */
+    isEmptyStateReachable: true,
+
+    capacity: capacity,
+    type: type,
+  });
+}
+
+/**
+ * @description
+ * Adds a new item as a child of the current one and selects it.
+ * Returns the evicted item or FLAGS.empty if nothing has been evicted.
+ */
+UndoTree.prototype.commit = function (value) {
+  var self = STATE.get(this);
+  assertCanCommit(value, self.type);
+
+  var parent = self.current;
+  var node = createNode(value, parent, self.nextId++);
+
+  parent.children.push(node);
+  parent.activeChild = node;
+  self.nodes.push(node);
+  self.current = node;
+
+  return self.nodes.length > self.capacity ? evictOldest(self) : FLAGS.empty;
+};
+
+UndoTree.prototype.current = function () {
+  return STATE.get(this).current.value;
+};
+
+/**
+ * @description
+ * Moves to the parent item. The branch we came from becomes the one
+ * that moveForward follows.
+ */
+UndoTree.prototype.moveBackward = function () {
+  if (this.isStartReached()) return;
+  var self = STATE.get(this);
+  var parent = self.current.parent;
+  parent.activeChild = self.current;
+  self.current = parent;
+};
+
+UndoTree.prototype.moveForward = function () {
+  var self = STATE.get(this);
+  if (self.current.activeChild) self.current = self.current.activeChild;
+};
+
+/**
+ * @description
+ * Once an item has been evicted, the root no longer represents a state the items started from,
+ * so it can't be moved to. The exception is a root with several branches: it stays reachable
+ * as a branch point, otherwise the other branches would be lost while still taking up capacity.
+ */
+UndoTree.prototype.isStartReached = function () {
+  var self = STATE.get(this);
+  var current = self.current;
+  if (isRoot(current)) return true;
+  if (!isRoot(current.parent) || self.isEmptyStateReachable) return false;
+  return current.parent.children.length === 1;
+};
+
+UndoTree.prototype.isEndReached = function () {
+  return STATE.get(this).current.activeChild === null;
+};
+
+/**
+ * @description
+ * Returns branches that start at the current item, in the order they have been created.
+ */
+UndoTree.prototype.branches = function () {
+  var current = STATE.get(this).current;
+  return current.children.map((child, index) => toBranch(current, child, index));
+};
+
+/**
+ * @description
+ * Selects the branch that moveForward follows from the current item.
+ *
+ * @param {number} index - Index of the branch as returned by the branches method
+ */
+UndoTree.prototype.switchBranch = function (index) {
+  var current = STATE.get(this).current;
+  var child = current.children[index];
+
+  if (!child) {
+    throw new Error(`Branch "${index}" does not exist. There are ${current.children.length}.`);
+  }
+
+  current.activeChild = child;
+};
+
+UndoTree.prototype.clear = function () {
+  var self = STATE.get(this);
+  self.root = createNode(FLAGS.empty, null, null);
+  self.current = self.root;
+  self.nodes = [];
+  self.isEmptyStateReachable = true;
+};
+
+/**
+ * @description
+ * Returns all items across all branches in the order they have been committed.
+ */
+UndoTree.prototype.dump = function () {
+  return STATE.get(this).nodes.map((node) => node.value);
+};
+
+Object.defineProperty(UndoTree.prototype, "size", {
+  get() {
+    return STATE.get(this).nodes.length;
+  },
+});
+
+UndoTree.FLAGS = FLAGS;
+
+export { UndoTree };
@@ -0,0 +1,133 @@
+import { test, describe, expect } from "vitest";
+import { UndoTree } from "./undo-tree.js";
+import { CircularHistory } from "./circular-history.js";
+
+describe("UndoTree", () => {
+  test("should validate capacity, data type and committed values", () => {
+    expect(() => new UndoTree(0, "number")).toThrow();
+    expect(() => new UndoTree(3, "invalidType")).toThrow();
+
+    var tree = new UndoTree(3, "number");
+    expect(() => tree.commit("1")).toThrow();
+  });
+
+  test("should share flags with CircularHistory", () => {
+    var tree = new UndoTree(3, "number");
+    expect(tree.current()).toBe(CircularHistory.FLAGS.empty);
+    expect(UndoTree.FLAGS).toBe(CircularHistory.FLAGS);
+  });
+
+  test("should move backward and forward like a linear history", () => {
+    var tree = new UndoTree(5, "number");
+    tree.commit(1);
+    tree.commit(2);
+
+    expect(tree.isEndReached()).toBe(true);
+    tree.moveBackward();
+    expect(tree.current()).toBe(1);
+    tree.moveBackward();
+    expect(tree.current()).toBe(UndoTree.FLAGS.empty);
+    expect(tree.isStartReached()).toBe(true);
+    tree.moveBackward();
+    expect(tree.current()).toBe(UndoTree.FLAGS.empty);
+
+    tree.moveForward();
+    tree.moveForward();
+    tree.moveForward();
+    expect(tree.current()).toBe(2);
+  });
+
+  test("should keep abandoned branches and follow the most recent one", () => {
+    var tree = new UndoTree(10, "string");
+    tree.commit("A");
+    tree.commit("B");
+    tree.moveBackward();
+    tree.commit("C");
+
+    expect(tree.dump()).toEqual(["A", "B", "C"]);
+
+    tree.moveBackward();
+    expect(tree.current()).toBe("A");
+    expect(tree.branches()).toEqual([
+      { index: 0, id: 1, value: "B", active: false },
+      { index: 1, id: 2, value: "C", active: true },
+    ]);
+
+    tree.moveForward();
+    expect(tree.current()).toBe("C");
+
+    tree.moveBackward();
+    tree.switchBranch(0);
+    tree.moveForward();
+    expect(tree.current()).toBe("B");
+
+    tree.moveBackward();
+    expect(tree.branches()[0].active).toBe(true);
+    expect(() => tree.switchBranch(5)).toThrow();
+  });
+
+  test("should evict the oldest items across all branches", () => {
+    var tree = new UndoTree(3, "string");
+    tree.commit("A");
+    tree.commit("B");
+    tree.moveBackward();
+    tree.commit("C");
+
+    expect(tree.commit("D")).toBe("A");
+    expect(tree.size).toBe(3);
+    expect(tree.dump()).toEqual(["B", "C", "D"]);
+
+    tree.moveBackward();
+    expect(tree.current()).toBe("C");
+    expect(tree.isStartReached()).toBe(false);
+  });
+
+  test("should keep the branches of evicted items reachable from the root", () => {
+    var tree = new UndoTree(3, "string");
+    tree.commit("A");
+    tree.commit("B");
+    tree.moveBackward();
+    tree.commit("C");
+    tree.commit("D");
+
+    tree.moveBackward();
+    tree.moveBackward();
+    expect(tree.current()).toBe(UndoTree.FLAGS.empty);
+    expect(tree.isStartReached()).toBe(true);
+    expect(tree.branches()).toEqual([
+      { index: 0, id: 1, value: "B", active: false },
+      { index: 1, id: 2, value: "C", active: true },
+    ]);
+
+    tree.switchBranch(0);
+    tree.moveForward();
+    expect(tree.current()).toBe("B");
+  });
+
+  test("should not move to the root of a single branch after an eviction", () => {
+    var tree = new UndoTree(2, "string");
+    tree.commit("A");
+    tree.commit("B");
+    tree.commit("C");
+
+    tree.moveBackward();
+    expect(tree.current()).toBe("B");
+    expect(tree.isStartReached()).toBe(true);
+    tree.moveBackward();
+    expect(tree.current()).toBe("B");
+  });
+
+  test("should clear the tree", () => {
+    var tree = new UndoTree(1, "number");
+    tree.commit(1);
+    tree.commit(2);
+    tree.clear();
+
+    expect(tree.size).toBe(0);
+    expect(tree.current()).toBe(UndoTree.FLAGS.empty);
+
+    tree.commit(3);
+    tree.moveBackward();
+    expect(tree.current()).toBe(UndoTree.FLAGS.empty);
+  });
+});
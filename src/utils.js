@@ -0,0 +1,56 @@
+import { ALLOWED_DATA_TYPES } from "./config.js";
+
+export var isTypeAllowed = (type) => ALLOWED_DATA_TYPES.includes(type);
+
+export var isValueTypeAllowed = (value) => {
+  var valueType = typeof value;
+  var isObject = valueType === "object" && value !== null;
+  return isObject || isTypeAllowed(valueType);
+};
+
+export var typeOf = (value) => (value === null ? "null" : typeof value);
+
+export var isPlainObject = (value) => {
+  if (typeof value !== "object" || value === null) return false;
+  var prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+/**
+ * @description
+ * String representation of a value for error messages.
+ * Objects without a prototype can't be converted with String.
+ */
+export var stringify = (value) => {
+  try {
+    return String(value);
+  } catch {
+    return Object.prototype.toString.call(value);
+  }
+};
+
+export var assertCapacity = (capacity) => {
+  if (typeof capacity !== "number" || capacity <= 0 || !Number.isInteger(capacity)) {
+    throw new Error(`Capacity must be a positive integer. Got "${capacity}".`);
+  }
+};
+
+/**
+ * @description
+ * Returns the reason why the value can't be committed or undefined if it can.
+ * Values of types that are not allowed (undefined and functions) are always rejected,
+ * since undefined represents an empty slot.
+ *
+ * @param {*} value - Value to check
+ * @param {{ name: string, check: Function }} type - Type descriptor
+ */
+export var getCommitError = (value, type) =>
+  isValueTypeAllowed(value) ? type.check(value) : `got "${typeOf(value)}"`;
+
+export var assertCanCommit = (value, type) => {
+  var error = getCommitError(value, type);
+
+  if (error !== undefined) {
+    throw new Error(`Type of ${stringify(value)} is invalid. Expected "${type.name}", ${error}.`);
+  }
+};